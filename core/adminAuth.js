@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware per le operazioni di amministrazione (cache, importazione della libreria):
+ * con adminToken serve "Authorization: Bearer <adminToken>", altrimenti basta una sessione.
+ * @param {string} [adminToken]
+ * @param {string} sessionError - Messaggio del 401 quando manca la sessione
+ */
+export function requireAdmin(adminToken, sessionError) {
+    const expectedAuth = adminToken ? Buffer.from(`Bearer ${adminToken}`) : null;
+
+    return (req, res, next) => {
+        if (expectedAuth) {
+            const provided = Buffer.from(req.get('authorization') || '');
+            if (provided.length !== expectedAuth.length || !crypto.timingSafeEqual(provided, expectedAuth)) {
+                return res.status(401).json({ error: 'Token di amministrazione mancante o non valido.' });
+            }
+            return next();
+        }
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: sessionError });
+        }
+        next();
+    };
+}
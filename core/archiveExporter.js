@@ -0,0 +1,189 @@
+import path from 'path';
+import fs from 'fs';
+import ZipWriter from './zipWriter.js';
+import { fetchCover } from './tagger.js';
+
+// Download in parallelo durante la preparazione di un archivio
+const DOWNLOAD_CONCURRENCY = 2;
+const MAX_NAME_LENGTH = 120;
+
+// Nome sicuro per file e cartelle dentro l'archivio (Windows incluso)
+function safeName(name) {
+    const cleaned = String(name || '')
+        .replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[. ]+$/, '')
+        .slice(0, MAX_NAME_LENGTH);
+    return cleaned || 'Senza titolo';
+}
+
+const pad = (number, total) => String(number).padStart(Math.max(2, String(total).length), '0');
+
+/**
+ * Esporta album e playlist come archivi ZIP: si assicura che ogni traccia sia in cache
+ * e taggata, poi scrive in streaming i file audio ("01 - Titolo.mp3"), una playlist M3U
+ * e la copertina.
+ */
+export default class ArchiveExporter {
+    /**
+     * @param {{spotifyAPI: import('./spotify.js').default, audioSource: import('./providerChain.js').default,
+     *          trackIndex: import('./trackIndex.js').default, tagger?: import('./tagger.js').default}} options
+     */
+    constructor(options) {
+        this.spotifyAPI = options.spotifyAPI;
+        this.audioSource = options.audioSource;
+        this.trackIndex = options.trackIndex;
+        this.tagger = options.tagger || null;
+    }
+
+    /**
+     * @param {string} albumId
+     * @param {string} [market] - Mercato della richiesta (req.market)
+     * @returns {Promise<{name: string, folder: string, image: string|null, tracks: object[]}|null>}
+     *          null se l'album non esiste
+     */
+    async loadAlbum(albumId, market) {
+        const details = await this.spotifyAPI.getAlbumDetails(albumId, market);
+        if (!details.success) return null;
+
+        const { album, tracks } = details;
+        const multiDisc = tracks.some(track => (track.disc_number || 1) > 1);
+        return {
+            name: album.name,
+            folder: safeName(`${album.artist} - ${album.name}`),
+            image: album.image,
+            tracks: tracks.map(track => ({
+                ...track,
+                label: multiDisc
+                    ? `${track.disc_number || 1}-${pad(track.track_number, tracks.length)}`
+                    : pad(track.track_number, tracks.length)
+            }))
+        };
+    }
+
+    // Come loadAlbum, con le tracce numerate per posizione nella playlist
+    async loadPlaylist(playlistId, market) {
+        const details = await this.spotifyAPI.getPlaylistDetails(playlistId);
+        if (!details.success) return null;
+
+        const page = await this.spotifyAPI.getPlaylistTracks(playlistId, { all: true }, market);
+        if (!page.success) {
+            throw { success: false, message: page.message || 'Errore nel recupero delle tracce della playlist.' };
+        }
+        const tracks = page.items.map(item => item.track);
+
+        const { playlist } = details;
+        return {
+            name: playlist.name,
+            folder: safeName(playlist.name),
+            image: playlist.image,
+            // Elementi su Spotify: oltre paging.MAX_ALL_ITEMS le tracce caricate sono solo le prime
+            total: page.total,
+            tracks: tracks.map((track, index) => ({ ...track, label: pad(index + 1, tracks.length) }))
+        };
+    }
+
+    /**
+     * Scarica le tracce mancanti e tagga quelle in cache senza tag.
+     * @param {object[]} tracks - Tracce di loadAlbum/loadPlaylist
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<{ready: Array<{track: object, entry: object}>, missing: Array<{track: object, error: string}>}>}
+     *          Nell'ordine originale
+     */
+    async prepare(tracks, options = {}) {
+        const results = new Array(tracks.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < tracks.length) {
+                if (options.signal?.aborted) {
+                    throw { success: false, aborted: true, message: 'Preparazione dell\'archivio annullata.' };
+                }
+                const index = next++;
+                const track = tracks[index];
+                try {
+                    results[index] = { track, entry: await this._ensureTrack(track, options.signal) };
+                } catch (error) {
+                    if (error?.aborted) throw error;
+                    console.warn(`⚠️ Traccia ${track.spotify_id} esclusa dall'archivio:`, error?.message || error);
+                    results[index] = { track, error: error?.message || String(error) };
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, tracks.length) }, worker));
+
+        return {
+            ready: results.filter(result => result.entry),
+            missing: results.filter(result => !result.entry)
+        };
+    }
+
+    async _ensureTrack(track, signal) {
+        let entry = await this.trackIndex.resolve(track.spotify_id);
+        if (!entry) {
+            await this.audioSource.searchAndDownload(`${track.artist} ${track.name}`, track.duration, this.trackIndex.filePathFor(track.spotify_id), {
+                spotifyId: track.spotify_id,
+                title: track.name,
+                artist: track.artist,
+                signal
+            });
+            entry = await this.trackIndex.resolve(track.spotify_id);
+            if (!entry) {
+                throw { success: false, message: 'Traccia scaricata ma non presente in cache.' };
+            }
+        }
+
+        // Solo i file nostri: quelli esterni (cartella locale, libreria importata) non si riscrivono
+        const ownFile = this.trackIndex.cacheFilesOf(entry).includes(entry.path);
+        if (!entry.tagged && ownFile && this.tagger && path.extname(entry.path) === '.mp3') {
+            try {
+                await this.tagger.tagFile(entry.path, track.spotify_id);
+                await this.trackIndex.update(track.spotify_id, { tagged: true });
+            } catch (error) {
+                console.warn(`⚠️ Tag non scritti per ${track.spotify_id}, la traccia va nell'archivio senza:`, error?.message || error);
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Scrive l'archivio in streaming.
+     * @param {import('stream').Writable} output
+     * @param {{name: string, folder: string, image: string|null}} collection
+     * @param {{ready: object[], missing: object[]}} prepared - Risultato di prepare()
+     */
+    async writeArchive(output, collection, prepared) {
+        const zip = new ZipWriter(output);
+        const playlist = ['#EXTM3U', `#PLAYLIST:${collection.name}`];
+
+        for (const { track, entry } of prepared.ready) {
+            const fileName = `${track.label} - ${safeName(track.name)}${path.extname(entry.path)}`;
+            let handle;
+            try {
+                handle = await fs.promises.open(entry.path, 'r');
+            } catch (error) {
+                // Rimossa dall'eviction dopo la preparazione
+                console.warn(`⚠️ File di ${track.spotify_id} non più disponibile per l'archivio:`, error.message);
+                playlist.push(`# Mancante: ${track.artist} - ${track.name}`);
+                continue;
+            }
+            try {
+                await zip.addFileHandle(`${collection.folder}/${fileName}`, handle);
+            } finally {
+                await handle.close().catch(() => {});
+            }
+            playlist.push(`#EXTINF:${Math.round((track.duration || 0) / 1000)},${track.artist} - ${track.name}`, fileName);
+        }
+        for (const { track } of prepared.missing) {
+            playlist.push(`# Mancante: ${track.artist} - ${track.name}`);
+        }
+
+        await zip.addBuffer(`${collection.folder}/${collection.folder}.m3u`, Buffer.from(playlist.join('\r\n') + '\r\n', 'utf8'));
+        const cover = collection.image ? await fetchCover(collection.image) : null;
+        if (cover) {
+            await zip.addBuffer(`${collection.folder}/cover.jpg`, cover);
+        }
+        await zip.finish();
+    }
+}
@@ -0,0 +1,240 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { isValidSpotifyId } from './trackIndex.js';
+
+const PINNED_KEY = 'track-index:pinned';
+const EVICTION_LOCK_KEY = 'lock:cache-eviction';
+const EVICTION_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Rilascia il lock solo se appartiene ancora a questo processo: scaduto il TTL
+// potrebbe già essere di un'altra eviction
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+end
+return 0`;
+
+// "<spotify_id>.<variante>.<estensione>", es. "<id>.opus-96.opus"
+const VARIANT_FILE_REGEX = /^[A-Za-z0-9]{22}\.[a-z0-9-]+\.[a-z0-9]+$/;
+
+// I file temporanei (download in corso) e le varianti non indicizzate più vecchi di così
+// sono considerati abbandonati
+const STALE_TEMP_FILE_MS = 6 * 3600 * 1000;
+
+/**
+ * Gestisce la dimensione della directory dei download: eviction LRU (per ultimo stream)
+ * con limite di spazio ed età massima, tracce "pinnate" mai rimosse e riconciliazione
+ * all'avvio tra indice e file realmente presenti su disco.
+ */
+export default class CacheManager {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis
+     * @param {import('./trackIndex.js').default} trackIndex
+     * @param {{maxBytes?: number, maxAgeMs?: number, intervalMs?: number}} [options]
+     *        maxBytes/maxAgeMs a 0 disattivano il rispettivo limite
+     */
+    constructor(redis, trackIndex, options = {}) {
+        this.redis = redis;
+        this.trackIndex = trackIndex;
+        this.maxBytes = options.maxBytes || 0;
+        this.maxAgeMs = options.maxAgeMs || 0;
+        this.intervalMs = options.intervalMs || 10 * 60 * 1000;
+        this.evictionTimer = null;
+        this.scheduledEviction = null;
+    }
+
+    async start() {
+        await this.reconcile();
+        await this.evict();
+
+        this.evictionTimer = setInterval(() => {
+            this.evict().catch(err => console.error('Errore eviction periodica della cache:', err.message));
+        }, this.intervalMs);
+        this.evictionTimer.unref();
+
+        // Dopo ogni nuovo download si ricontrolla il limite di spazio (con debounce)
+        this.trackIndex.on('registered', () => this.scheduleEviction());
+        console.log(`🧹 Cache manager avviato (max ${this.maxBytes ? Math.round(this.maxBytes / 1048576) + ' MB' : 'illimitato'}, ` +
+            `età max ${this.maxAgeMs ? Math.round(this.maxAgeMs / 86400000) + ' giorni' : 'illimitata'}).`);
+    }
+
+    stop() {
+        clearInterval(this.evictionTimer);
+        clearTimeout(this.scheduledEviction);
+    }
+
+    scheduleEviction(delayMs = 5000) {
+        if (this.scheduledEviction) return;
+        this.scheduledEviction = setTimeout(() => {
+            this.scheduledEviction = null;
+            this.evict().catch(err => console.error('Errore eviction della cache:', err.message));
+        }, delayMs);
+        this.scheduledEviction.unref();
+    }
+
+    async pin(spotifyId) {
+        await this.redis.sadd(PINNED_KEY, spotifyId);
+    }
+
+    async unpin(spotifyId) {
+        await this.redis.srem(PINNED_KEY, spotifyId);
+    }
+
+    async pinnedIds() {
+        return new Set(await this.redis.smembers(PINNED_KEY));
+    }
+
+    // Elenca le tracce in cache con dimensione su disco e ultimo accesso
+    async _collectEntries() {
+        const [entries, accessTimes, pinned] = await Promise.all([
+            this.trackIndex.all(),
+            this.trackIndex.lastAccessTimes(),
+            this.pinnedIds()
+        ]);
+
+        const result = [];
+        for (const entry of entries) {
+            let size = 0;
+            for (const filePath of this.trackIndex.cacheFilesOf(entry)) {
+                try {
+                    size += (await fs.promises.stat(filePath)).size;
+                } catch (e) {
+                    // File già rimosso: la voce verrà sistemata dalla riconciliazione
+                }
+            }
+            result.push({
+                spotifyId: entry.spotify_id,
+                size,
+                lastAccess: accessTimes.get(entry.spotify_id) || Date.parse(entry.downloaded_at) || 0,
+                pinned: pinned.has(entry.spotify_id),
+                // I file fuori da downloadsDir non sono nostri: non contano e non si cancellano
+                evictable: this.trackIndex.cacheFilesOf(entry).length > 0 && !pinned.has(entry.spotify_id)
+            });
+        }
+        return result;
+    }
+
+    async stats() {
+        const entries = await this._collectEntries();
+        return {
+            tracks: entries.length,
+            total_bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            pinned: entries.filter(entry => entry.pinned).length,
+            max_bytes: this.maxBytes || null,
+            max_age_ms: this.maxAgeMs || null
+        };
+    }
+
+    /**
+     * Rimuove le tracce più vecchie di maxAgeMs e poi, finché si supera maxBytes,
+     * quelle ascoltate meno di recente. Le tracce pinnate non vengono mai rimosse.
+     * @returns {Promise<{evicted: string[], freedBytes: number}>}
+     */
+    async evict() {
+        if (!this.maxBytes && !this.maxAgeMs) return { evicted: [], freedBytes: 0 };
+
+        // Un solo processo alla volta fa l'eviction
+        const token = crypto.randomBytes(16).toString('hex');
+        const acquired = await this.redis.set(EVICTION_LOCK_KEY, token, 'PX', EVICTION_LOCK_TTL_MS, 'NX');
+        if (!acquired) return { evicted: [], freedBytes: 0 };
+
+        try {
+            const entries = await this._collectEntries();
+            let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+            const candidates = entries
+                .filter(entry => entry.evictable)
+                .sort((a, b) => a.lastAccess - b.lastAccess);
+
+            const now = Date.now();
+            const evicted = [];
+            let freedBytes = 0;
+
+            for (const entry of candidates) {
+                const tooOld = this.maxAgeMs && now - entry.lastAccess > this.maxAgeMs;
+                const overLimit = this.maxBytes && totalBytes > this.maxBytes;
+                if (!tooOld && !overLimit) continue;
+
+                const freed = await this.trackIndex.purge(entry.spotifyId);
+                totalBytes -= entry.size;
+                freedBytes += freed;
+                evicted.push(entry.spotifyId);
+            }
+
+            if (evicted.length > 0) {
+                console.log(`🧹 Eviction cache: rimosse ${evicted.length} tracce, liberati ${(freedBytes / 1048576).toFixed(1)} MB.`);
+            }
+            return { evicted, freedBytes };
+        } finally {
+            await this.redis.eval(RELEASE_SCRIPT, 1, EVICTION_LOCK_KEY, token)
+                .catch(err => console.warn('⚠️ Impossibile rilasciare il lock di eviction:', err.message));
+        }
+    }
+
+    /**
+     * Allinea indice e disco: rimuove le voci senza file, registra i file "<spotify_id>.mp3"
+     * non indicizzati, cancella i file temporanei abbandonati e pulisce il registro accessi.
+     */
+    async reconcile() {
+        const downloadsDir = this.trackIndex.downloadsDir;
+        const entries = await this.trackIndex.all();
+        const indexedFiles = new Set();
+        const validIds = new Set();
+        let removed = 0;
+        let adopted = 0;
+        let tempFiles = 0;
+        let orphanVariants = 0;
+
+        for (const entry of entries) {
+            const filePath = this.trackIndex.absolutePath(entry);
+            if (!fs.existsSync(filePath)) {
+                await this.trackIndex.remove(entry.spotify_id);
+                removed++;
+                continue;
+            }
+            validIds.add(entry.spotify_id);
+            this.trackIndex.cacheFilesOf(entry).forEach(file => indexedFiles.add(path.resolve(file)));
+        }
+
+        const files = await fs.promises.readdir(downloadsDir).catch(() => []);
+        for (const file of files) {
+            const filePath = path.resolve(downloadsDir, file);
+            if (indexedFiles.has(filePath)) continue;
+
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (e) {
+                continue;
+            }
+            if (!stats.isFile()) continue;
+
+            if (file.startsWith('.')) {
+                if (Date.now() - stats.mtimeMs > STALE_TEMP_FILE_MS) {
+                    await fs.promises.unlink(filePath).catch(() => {});
+                    tempFiles++;
+                }
+                continue;
+            }
+
+            const spotifyId = path.basename(file, '.mp3');
+            if (file.endsWith('.mp3') && isValidSpotifyId(spotifyId) && !validIds.has(spotifyId)) {
+                await this.trackIndex.register(spotifyId, { path: filePath, source: { provider: 'unknown' } });
+                validIds.add(spotifyId);
+                adopted++;
+            } else if (VARIANT_FILE_REGEX.test(file)) {
+                // Variante transcodificata non più indicizzata: si rigenera su richiesta.
+                // Quelle modificate di recente possono essere in scrittura da un altro processo
+                if (Date.now() - stats.mtimeMs <= STALE_TEMP_FILE_MS) continue;
+                await fs.promises.unlink(filePath).catch(() => {});
+                orphanVariants++;
+            }
+        }
+
+        const prunedAccess = await this.trackIndex.pruneAccessTimes(validIds);
+        console.log(`🔄 Riconciliazione cache: ${validIds.size} tracce, ${removed} voci orfane rimosse, ` +
+            `${adopted} file registrati, ${tempFiles} file temporanei e ${orphanVariants} varianti orfane cancellati, ` +
+            `${prunedAccess} accessi obsoleti.`);
+        return { tracks: validIds.size, removed, adopted, tempFiles, orphanVariants, prunedAccess };
+    }
+}
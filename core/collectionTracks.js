@@ -0,0 +1,41 @@
+/**
+ * Recupera tutte le tracce di un album, nel formato usato dal resto dell'app.
+ * @param {import('./spotify.js').default} spotifyAPI
+ * @param {string} albumId
+ * @param {string} [market] - Mercato della richiesta (req.market)
+ * @returns {Promise<{collection: object, tracks: Array<object>}>}
+ */
+export async function getAlbumTracks(spotifyAPI, albumId, market) {
+    const details = await spotifyAPI.getAlbumDetails(albumId, market);
+    if (!details.success) {
+        throw { status: details.error?.status || 404, message: details.message || 'Album non trovato' };
+    }
+    return {
+        collection: { type: 'album', id: albumId, name: details.album.name, image: details.album.image },
+        tracks: details.tracks
+    };
+}
+
+/**
+ * Recupera tutte le tracce di una playlist (tutte le pagine di getPlaylistTracks).
+ * @param {import('./spotify.js').default} spotifyAPI
+ * @param {string} playlistId
+ * @param {string} [market] - Mercato della richiesta (req.market)
+ * @returns {Promise<{collection: object, tracks: Array<object>, total: number}>} total: elementi della
+ *          playlist su Spotify, anche oltre quelli scaricati (paging.MAX_ALL_ITEMS)
+ */
+export async function getPlaylistTracksAll(spotifyAPI, playlistId, market) {
+    const page = await spotifyAPI.getPlaylistTracks(playlistId, { all: true }, market);
+    if (!page.success) {
+        throw { status: page.error?.status || 404, message: page.message || 'Playlist non trovata' };
+    }
+    const tracks = page.items.map(item => item.track);
+
+    // Una playlist può contenere la stessa traccia più volte
+    const unique = new Map(tracks.filter(track => track.spotify_id).map(track => [track.spotify_id, track]));
+    return {
+        collection: { type: 'playlist', id: playlistId },
+        tracks: [...unique.values()],
+        total: page.total
+    };
+}
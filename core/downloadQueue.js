@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const PREFIX = 'download-queue';
+const PENDING_KEY = `${PREFIX}:pending`;
+const PROCESSING_KEY = `${PREFIX}:processing`;
+const DELAYED_KEY = `${PREFIX}:delayed`;
+const EVENTS_CHANNEL = `${PREFIX}:events`;
+
+const jobKey = (jobId) => `${PREFIX}:job:${jobId}`;
+
+// I job completati restano consultabili per una settimana
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 3600;
+
+// Preleva un task dalla coda e lo segna come "in lavorazione" con il timestamp corrente.
+// Atomico: due processi non possono prendere lo stesso task.
+const CLAIM_SCRIPT = `
+local task = redis.call("rpop", KEYS[1])
+if task then
+    redis.call("zadd", KEYS[2], ARGV[1], task)
+end
+return task`;
+
+// Sposta in coda i task con score <= ARGV[1] (retry scaduti o task orfani di un processo morto)
+const REQUEUE_SCRIPT = `
+local tasks = redis.call("zrangebyscore", KEYS[1], "-inf", ARGV[1])
+for _, task in ipairs(tasks) do
+    redis.call("zrem", KEYS[1], task)
+    redis.call("lpush", KEYS[2], task)
+end
+return #tasks`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const TERMINAL_STATUSES = ['done', 'skipped', 'failed'];
+
+/**
+ * Coda di download persistita su Redis. Ogni job contiene una lista di tracce; i worker
+ * (anche in più processi) prelevano le singole tracce e le scaricano dalla catena di sorgenti audio.
+ * I task in lavorazione hanno un heartbeat: se un processo muore vengono rimessi in coda,
+ * quindi la coda sopravvive ai riavvii del server.
+ */
+export default class DownloadQueue extends EventEmitter {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis
+     * @param {import('./providerChain.js').default} audioSource - Catena di sorgenti audio
+     * @param {import('./trackIndex.js').default} trackIndex
+     * @param {{concurrency?: number, maxRetries?: number, retryDelayMs?: number, pollIntervalMs?: number, staleTaskMs?: number}} [options]
+     */
+    constructor(redis, audioSource, trackIndex, options = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.redis = redis;
+        this.audioSource = audioSource;
+        this.trackIndex = trackIndex;
+        this.concurrency = options.concurrency || 2;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelayMs = options.retryDelayMs || 30 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.staleTaskMs = options.staleTaskMs || 2 * 60 * 1000;
+
+        this.running = false;
+        this.activeTasks = new Set();
+        this.subscriber = null;
+    }
+
+    /**
+     * Crea un job per le tracce indicate. Le tracce già in cache vengono segnate subito come "skipped".
+     * @param {Array<{spotify_id: string, name: string, artist: string, duration: number}>} tracks
+     * @param {object} [meta] - Informazioni aggiuntive salvate nel job (es. album/playlist di origine)
+     * @returns {Promise<object>} Lo stato iniziale del job
+     */
+    async enqueue(tracks, meta = {}) {
+        const jobId = crypto.randomUUID();
+        const now = new Date().toISOString();
+        const fields = {
+            meta: JSON.stringify({ id: jobId, created_at: now, ...meta })
+        };
+        const tasks = [];
+
+        for (const track of tracks) {
+            const cached = await this.trackIndex.resolve(track.spotify_id);
+            fields[`item:${track.spotify_id}`] = JSON.stringify({
+                spotify_id: track.spotify_id,
+                title: track.name,
+                artist: track.artist,
+                duration_ms: track.duration,
+                status: cached ? 'skipped' : 'queued',
+                attempts: 0,
+                error: null,
+                updated_at: now
+            });
+            if (!cached) tasks.push(`${jobId}|${track.spotify_id}`);
+        }
+
+        const pipeline = this.redis.multi().hset(jobKey(jobId), fields);
+        if (tasks.length > 0) {
+            pipeline.lpush(PENDING_KEY, ...tasks);
+        } else {
+            pipeline.expire(jobKey(jobId), FINISHED_JOB_TTL_SECONDS);
+        }
+        await pipeline.exec();
+
+        console.log(`📥 Job di download ${jobId}: ${tasks.length} tracce in coda, ${tracks.length - tasks.length} già in cache.`);
+        return this.getJob(jobId);
+    }
+
+    async getJob(jobId) {
+        const raw = await this.redis.hgetall(jobKey(jobId));
+        if (!raw || !raw.meta) return null;
+
+        const meta = JSON.parse(raw.meta);
+        const items = Object.entries(raw)
+            .filter(([field]) => field.startsWith('item:'))
+            .map(([, value]) => JSON.parse(value));
+
+        const counts = { queued: 0, downloading: 0, retrying: 0, done: 0, skipped: 0, failed: 0 };
+        items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+
+        let status = 'queued';
+        const finished = items.every(item => TERMINAL_STATUSES.includes(item.status));
+        if (finished) {
+            status = counts.failed === 0 ? 'completed' : (counts.failed === items.length ? 'failed' : 'completed_with_errors');
+        } else if (counts.downloading > 0 || counts.retrying > 0 || counts.done > 0 || counts.failed > 0) {
+            status = 'running';
+        }
+
+        return { ...meta, status, finished, total: items.length, counts, items };
+    }
+
+    /**
+     * Avvia i worker. Prima rimette in coda i task rimasti "in lavorazione" da un processo terminato.
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        await this._subscribe();
+        await this._requeueStaleTasks().catch(err => console.error('Errore nel recupero dei task orfani:', err.message));
+
+        this.heartbeatTimer = setInterval(() => this._heartbeat(), Math.floor(this.staleTaskMs / 3));
+        this.heartbeatTimer.unref();
+
+        for (let i = 0; i < this.concurrency; i++) {
+            this._workerLoop(i);
+        }
+        console.log(`🚚 Coda download avviata con ${this.concurrency} worker.`);
+    }
+
+    stop() {
+        this.running = false;
+        clearInterval(this.heartbeatTimer);
+    }
+
+    // Gli eventi passano da Redis pub/sub, così il feed SSE funziona anche se il job è lavorato da un altro processo
+    async _subscribe() {
+        if (this.subscriber) return;
+        this.subscriber = this.redis.duplicate();
+        this.subscriber.on('error', (err) => console.error('Errore Redis (eventi coda download):', err.message));
+        this.subscriber.on('message', (channel, message) => {
+            try {
+                const event = JSON.parse(message);
+                this.emit(`job:${event.jobId}`, event);
+            } catch (e) {
+                console.warn('⚠️ Evento coda download non valido:', e.message);
+            }
+        });
+        await this.subscriber.subscribe(EVENTS_CHANNEL);
+    }
+
+    async _requeueStaleTasks() {
+        const now = Date.now();
+        const delayed = await this.redis.eval(REQUEUE_SCRIPT, 2, DELAYED_KEY, PENDING_KEY, now);
+        const stale = await this.redis.eval(REQUEUE_SCRIPT, 2, PROCESSING_KEY, PENDING_KEY, now - this.staleTaskMs);
+        if (stale > 0) {
+            console.log(`♻️ Rimessi in coda ${stale} download rimasti in sospeso.`);
+        }
+        return delayed + stale;
+    }
+
+    _heartbeat() {
+        const now = Date.now();
+        const tasks = [...this.activeTasks];
+        if (tasks.length > 0) {
+            this.redis.zadd(PROCESSING_KEY, ...tasks.flatMap(task => [now, task]))
+                .catch(err => console.warn('⚠️ Heartbeat coda download fallito:', err.message));
+        }
+        this._requeueStaleTasks().catch(err => console.warn('⚠️ Recupero task coda download fallito:', err.message));
+    }
+
+    async _workerLoop(workerId) {
+        while (this.running) {
+            let task = null;
+            try {
+                task = await this.redis.eval(CLAIM_SCRIPT, 2, PENDING_KEY, PROCESSING_KEY, Date.now());
+            } catch (error) {
+                console.error(`Worker ${workerId}: errore nel prelievo dalla coda:`, error.message);
+            }
+
+            if (!task) {
+                await sleep(this.pollIntervalMs);
+                continue;
+            }
+
+            this.activeTasks.add(task);
+            try {
+                await this._processTask(task);
+            } catch (error) {
+                console.error(`Worker ${workerId}: errore inatteso sul task ${task}:`, error);
+            } finally {
+                this.activeTasks.delete(task);
+                await this.redis.zrem(PROCESSING_KEY, task).catch(() => {});
+            }
+        }
+    }
+
+    async _updateItem(jobId, item, changes) {
+        const updated = { ...item, ...changes, updated_at: new Date().toISOString() };
+        await this.redis.hset(jobKey(jobId), `item:${item.spotify_id}`, JSON.stringify(updated));
+        return updated;
+    }
+
+    async _publish(jobId, item) {
+        const job = await this.getJob(jobId);
+        if (job && job.finished) {
+            await this.redis.expire(jobKey(jobId), FINISHED_JOB_TTL_SECONDS);
+        }
+        const event = {
+            jobId,
+            item,
+            status: job?.status,
+            finished: job?.finished || false,
+            counts: job?.counts
+        };
+        await this.redis.publish(EVENTS_CHANNEL, JSON.stringify(event))
+            .catch(err => console.warn('⚠️ Pubblicazione evento coda download fallita:', err.message));
+    }
+
+    async _processTask(task) {
+        const [jobId, spotifyId] = task.split('|');
+        const raw = await this.redis.hget(jobKey(jobId), `item:${spotifyId}`);
+        if (!raw) {
+            console.warn(`⚠️ Task ${task} senza job associato (scaduto?), lo ignoro.`);
+            return;
+        }
+
+        let item = JSON.parse(raw);
+        if (TERMINAL_STATUSES.includes(item.status)) return;
+
+        item = await this._updateItem(jobId, item, { status: 'downloading', attempts: item.attempts + 1 });
+        await this._publish(jobId, item);
+
+        try {
+            const result = await this.audioSource.searchAndDownload(
+                `${item.artist} ${item.title}`,
+                item.duration_ms,
+                undefined,
+                { spotifyId, title: item.title, artist: item.artist }
+            );
+            item = await this._updateItem(jobId, item, { status: 'done', error: null, cached: Boolean(result.cached) });
+            console.log(`✅ [coda] ${spotifyId} scaricata (job ${jobId}).`);
+        } catch (error) {
+            const reason = error?.message || String(error);
+            if (item.attempts <= this.maxRetries) {
+                item = await this._updateItem(jobId, item, { status: 'retrying', error: reason });
+                await this.redis.zadd(DELAYED_KEY, Date.now() + this.retryDelayMs * item.attempts, task);
+                console.warn(`🔁 [coda] ${spotifyId} fallita (tentativo ${item.attempts}/${this.maxRetries + 1}): ${reason}`);
+            } else {
+                item = await this._updateItem(jobId, item, { status: 'failed', error: reason });
+                console.error(`❌ [coda] ${spotifyId} fallita definitivamente: ${reason}`);
+            }
+        }
+
+        await this._publish(jobId, item);
+    }
+}
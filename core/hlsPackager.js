@@ -0,0 +1,151 @@
+import path from 'path';
+import fs from 'fs';
+import { runProcess, describeFailure } from './processRunner.js';
+
+// Bitrate (kbps) delle renditions AAC offerte nel master playlist, dalla più leggera
+export const HLS_BITRATES = [64, 128, 256];
+const SEGMENT_DURATION_S = 6;
+const PACKAGE_TIMEOUT_MS = 10 * 60 * 1000;
+// I segmenti MPEG-TS aggiungono circa il 10% al bitrate audio (header TS/PES)
+const TS_OVERHEAD = 1.1;
+
+export const PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+export const SEGMENT_CONTENT_TYPE = 'video/mp2t';
+
+// Registrata nell'indice come una variante per rendition: "<spotify_id>.hls-128.m3u8"
+export const hlsRendition = (bitrate) => ({
+    key: `hls-${bitrate}`,
+    format: 'hls',
+    bitrate,
+    extension: 'm3u8',
+    contentType: PLAYLIST_CONTENT_TYPE
+});
+
+// Playlist e segmenti serviti da /stream/:spotify_id/hls/<file>: "<id>.hls-128.m3u8", "<id>.hls-128-007.ts"
+export const isHlsFileName = (spotifyId, fileName) =>
+    new RegExp(`^${spotifyId}\\.hls-\\d+(\\.m3u8|-\\d{3,}\\.ts)$`).test(fileName);
+
+/**
+ * Master playlist per lo switching adattivo tra le renditions.
+ * @param {string} spotifyId
+ * @param {string} [baseUri] - Prefisso degli URI delle media playlist (relativo al master)
+ * @param {string} [query] - Query string da aggiungere a ogni URI (es. la firma dello stream)
+ */
+export function buildMasterPlaylist(spotifyId, baseUri = 'hls/', query = '') {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    for (const bitrate of HLS_BITRATES) {
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(bitrate * 1000 * TS_OVERHEAD)},` +
+            `AVERAGE-BANDWIDTH=${bitrate * 1000},CODECS="mp4a.40.2"`);
+        lines.push(`${baseUri}${spotifyId}.${hlsRendition(bitrate).key}.m3u8${query}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Aggiunge una query string agli URI dei segmenti di una media playlist (le righe che non sono tag)
+export function appendQueryToUris(playlist, query) {
+    if (!query) return playlist;
+    return playlist.split('\n').map(line => (line && !line.startsWith('#') ? `${line.trim()}${query}` : line)).join('\n');
+}
+
+/**
+ * Segmenta una traccia in cache in renditions HLS (AAC in MPEG-TS) a più bitrate.
+ * Playlist e segmenti stanno accanto al file originale e sono registrati come varianti
+ * nell'indice, quindi seguono la stessa eviction della traccia.
+ */
+export default class HlsPackager {
+    /**
+     * @param {{trackIndex: import('./trackIndex.js').default, singleFlight?: import('./singleFlight.js').default}} options
+     */
+    constructor(options) {
+        this.trackIndex = options.trackIndex;
+        this.singleFlight = options.singleFlight || null;
+    }
+
+    /**
+     * Garantisce che tutte le renditions della traccia siano su disco.
+     * La traccia deve essere già in cache.
+     * @returns {Promise<{packaged: boolean}>} packaged è true se sono state appena generate
+     */
+    async ensurePackaged(spotifyId) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) {
+            throw { success: false, message: `Traccia ${spotifyId} non presente in cache.` };
+        }
+        if (this._isPackaged(entry)) return { packaged: false };
+
+        const job = () => this._package(spotifyId);
+        if (!this.singleFlight) return job();
+
+        const findReady = async () => {
+            const current = await this.trackIndex.resolve(spotifyId);
+            return current && this._isPackaged(current) ? { packaged: false } : null;
+        };
+        return this.singleFlight.run(`hls:${spotifyId}`, async () => {
+            return (await findReady()) || job();
+        }, { isDone: findReady });
+    }
+
+    _isPackaged(entry) {
+        return HLS_BITRATES.every(bitrate => {
+            const stored = entry.variants?.[hlsRendition(bitrate).key];
+            return stored && fs.existsSync(path.resolve(this.trackIndex.downloadsDir, stored.file));
+        });
+    }
+
+    // Rimuove playlist e segmenti di un tentativo precedente non registrato
+    async _removeLeftovers(spotifyId) {
+        const downloadsDir = this.trackIndex.downloadsDir;
+        const files = await fs.promises.readdir(downloadsDir).catch(() => []);
+        await Promise.all(files
+            .filter(file => isHlsFileName(spotifyId, file))
+            .map(file => fs.promises.unlink(path.join(downloadsDir, file)).catch(() => {})));
+    }
+
+    async _package(spotifyId) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) {
+            throw { success: false, message: `Traccia ${spotifyId} non presente in cache.` };
+        }
+        await this._removeLeftovers(spotifyId);
+
+        // Un solo ffmpeg per tutte le renditions: l'originale viene decodificato una volta sola.
+        // Le opzioni di output valgono per il file che le segue, quindi si ripetono per ogni rendition.
+        const outputs = HLS_BITRATES.map(bitrate => {
+            const rendition = hlsRendition(bitrate);
+            const playlistPath = this.trackIndex.variantPathFor(spotifyId, rendition);
+            const segmentPattern = path.join(this.trackIndex.downloadsDir, `${spotifyId}.${rendition.key}-%03d.ts`);
+            return { rendition, playlistPath, args: [
+                '-map', '0:a:0', '-map_metadata', '-1', '-c:a', 'aac', '-b:a', `${bitrate}k`, '-ac', '2',
+                '-f', 'hls',
+                '-hls_time', String(SEGMENT_DURATION_S),
+                '-hls_playlist_type', 'vod',
+                '-hls_segment_type', 'mpegts',
+                '-hls_segment_filename', segmentPattern,
+                playlistPath
+            ] };
+        });
+
+        console.log(`📺 Segmentazione HLS di ${spotifyId}: ${HLS_BITRATES.map(bitrate => `${bitrate}k`).join(', ')}`);
+        const started = Date.now();
+        const result = await runProcess('ffmpeg', [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', entry.path,
+            ...outputs.flatMap(output => output.args)
+        ], { timeoutMs: PACKAGE_TIMEOUT_MS });
+        if (!result.ok) {
+            await this._removeLeftovers(spotifyId);
+            throw { success: false, message: `Errore durante la segmentazione HLS: ${describeFailure('ffmpeg', result)}` };
+        }
+
+        const files = await fs.promises.readdir(this.trackIndex.downloadsDir);
+        for (const { rendition, playlistPath } of outputs) {
+            const segments = files
+                .filter(file => file.startsWith(`${spotifyId}.${rendition.key}-`) && file.endsWith('.ts'))
+                .sort()
+                .map(file => path.join(this.trackIndex.downloadsDir, file));
+            await this.trackIndex.registerVariant(spotifyId, { ...rendition, segments }, playlistPath);
+        }
+        console.log(`✅ HLS di ${spotifyId} pronto in ${Date.now() - started} ms.`);
+        return { packaged: true };
+    }
+}
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import path from 'path';
+import { probeFile, walkAudioFiles, importLocalFile } from './localFolderProvider.js';
+import { scoreCandidate, normalizeText } from './matchScorer.js';
+
+const scanKey = (scanId) => `library-import:scan:${scanId}`;
+const LATEST_SCAN_KEY = 'library-import:latest';
+const REPORT_TTL_SECONDS = 30 * 24 * 3600;
+
+// Sotto MATCH_MIN_SCORE il file non viene importato; sotto CANDIDATE_MIN_SCORE non è nemmeno proposto
+const MATCH_MIN_SCORE = 0.75;
+const CANDIDATE_MIN_SCORE = 0.5;
+// Due risultati distinti con punteggi più vicini di così rendono l'abbinamento ambiguo
+const AMBIGUITY_MARGIN = 0.05;
+// Lo stesso brano su album, singolo e compilation: stessi titolo/artisti e durata quasi identica
+const SAME_RECORDING_MAX_DIFF_MS = 2000;
+// Ogni quanti file il report su Redis viene aggiornato durante la scansione
+const PROGRESS_SAVE_EVERY = 25;
+
+const isSameRecording = (a, b) =>
+    normalizeText(a.name) === normalizeText(b.name)
+    && normalizeText(a.artist) === normalizeText(b.artist)
+    && Math.abs(a.duration - b.duration) <= SAME_RECORDING_MAX_DIFF_MS;
+
+const summarize = ({ track, score }) => ({
+    spotify_id: track.spotify_id,
+    name: track.name,
+    artist: track.artist,
+    album: track.album,
+    score
+});
+
+/**
+ * Importa una cartella di file musicali già posseduti nell'indice delle tracce: legge i tag
+ * di ogni file e lo abbina a una traccia Spotify (per ISRC, altrimenti titolo/artista/durata).
+ * I file abbinati vengono serviti da /stream senza passare da YouTube; quelli non abbinati
+ * o ambigui finiscono nel report della scansione.
+ */
+export default class LibraryScanner {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis (report delle scansioni)
+     * @param {import('./spotify.js').default} spotifyAPI
+     * @param {import('./trackIndex.js').default} trackIndex
+     * @param {{rootDir: string}} options - Cartella da cui è consentito importare
+     */
+    constructor(redis, spotifyAPI, trackIndex, options) {
+        this.redis = redis;
+        this.spotifyAPI = spotifyAPI;
+        this.trackIndex = trackIndex;
+        this.rootDir = path.resolve(options.rootDir);
+        this.currentScan = null;
+    }
+
+    /**
+     * Avvia una scansione in background.
+     * @param {string} [subdir] - Sottocartella di rootDir da importare (default: tutta)
+     * @returns {Promise<object>} Il report iniziale (status "running")
+     */
+    async start(subdir = '') {
+        if (this.currentScan) {
+            throw { success: false, status: 409, message: `Scansione ${this.currentScan.id} già in corso.` };
+        }
+        const dir = path.resolve(this.rootDir, subdir);
+        if (dir !== this.rootDir && !dir.startsWith(this.rootDir + path.sep)) {
+            throw { success: false, status: 400, message: 'La cartella deve trovarsi dentro la libreria configurata.' };
+        }
+
+        const report = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            dir: this._relative(dir),
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            scanned: 0,
+            matched: [],
+            ambiguous: [],
+            unmatched: [],
+            already_cached: [],
+            errors: []
+        };
+        this.currentScan = report;
+        await this._save(report);
+        await this.redis.set(LATEST_SCAN_KEY, report.id);
+
+        this._run(report, dir)
+            .catch(error => {
+                report.status = 'failed';
+                report.errors.push({ file: null, error: error?.message || String(error) });
+                console.error(`❌ Scansione libreria ${report.id} fallita:`, error?.message || error);
+            })
+            .finally(async () => {
+                report.finished_at = new Date().toISOString();
+                this.currentScan = null;
+                await this._save(report).catch(err => console.error('Impossibile salvare il report della scansione:', err.message));
+            });
+        return report;
+    }
+
+    async getReport(scanId) {
+        if (scanId === 'latest') {
+            scanId = await this.redis.get(LATEST_SCAN_KEY);
+            if (!scanId) return null;
+        }
+        if (this.currentScan?.id === scanId) return this.currentScan;
+        const raw = await this.redis.get(scanKey(scanId));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    // I report escono dalle API: percorsi relativi alla libreria, mai quelli assoluti del server
+    _relative(filePath) {
+        const relative = path.relative(this.rootDir, filePath);
+        if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) return path.basename(filePath);
+        return relative || '.';
+    }
+
+    async _save(report) {
+        await this.redis.set(scanKey(report.id), JSON.stringify(report), 'EX', REPORT_TTL_SECONDS);
+    }
+
+    async _run(report, dir) {
+        console.log(`📚 Scansione libreria ${report.id} avviata: ${dir}`);
+        for await (const filePath of walkAudioFiles(dir)) {
+            try {
+                await this._importFile(filePath, report);
+            } catch (error) {
+                report.errors.push({ file: this._relative(filePath), error: error?.message || String(error) });
+            }
+            report.scanned++;
+            if (report.scanned % PROGRESS_SAVE_EVERY === 0) await this._save(report);
+        }
+        report.status = 'completed';
+        console.log(`📚 Scansione libreria ${report.id} completata: ${report.scanned} file, ${report.matched.length} importati, ` +
+            `${report.ambiguous.length} ambigui, ${report.unmatched.length} non abbinati, ${report.errors.length} errori.`);
+    }
+
+    async _importFile(filePath, report) {
+        const file = await probeFile(filePath);
+        const reportFile = this._relative(filePath);
+        const match = await this.matchFile(file);
+
+        if (match.status === 'unmatched') {
+            report.unmatched.push({ file: reportFile, title: file.title, artist: file.artist, reason: match.reason });
+            return;
+        }
+        if (match.status === 'ambiguous') {
+            report.ambiguous.push({ file: reportFile, title: file.title, artist: file.artist, candidates: match.candidates.map(summarize) });
+            return;
+        }
+
+        const { track, score, method } = match;
+        const existing = await this.trackIndex.resolve(track.spotify_id);
+        if (existing?.source?.provider === 'local') {
+            report.already_cached.push({ file: reportFile, spotify_id: track.spotify_id, cached_file: this._relative(existing.source.file || existing.path) });
+            return;
+        }
+        // Un file posseduto è preferibile a quello scaricato da YouTube
+        if (existing) await this.trackIndex.purge(track.spotify_id);
+
+        const durationMs = file.duration ? Math.round(file.duration * 1000) : undefined;
+        await importLocalFile(this.trackIndex, filePath, this.trackIndex.filePathFor(track.spotify_id), {
+            spotifyId: track.spotify_id,
+            source: { provider: 'local', file: filePath, title: file.title, channel: file.artist || 'N/D', url: null, match: { score, method } },
+            durationMs,
+            targetDurationMs: track.duration
+        });
+        report.matched.push({
+            file: reportFile,
+            ...summarize({ track, score }),
+            method,
+            replaced: existing?.source?.provider || undefined
+        });
+    }
+
+    /**
+     * Abbina i tag di un file a una traccia Spotify.
+     * @param {{title: string, artist: string, isrc: string|null, duration: number|null}} file - Da probeFile
+     * @returns {Promise<{status: 'matched', track: object, score: number, method: string}
+     *          |{status: 'ambiguous', candidates: object[]}|{status: 'unmatched', reason: string}>}
+     */
+    async matchFile(file) {
+        if (file.isrc) {
+            const results = await this.spotifyAPI.searchTracksForMatching(`isrc:${file.isrc}`, 10);
+            const sameIsrc = results.filter(track => track.isrc?.toUpperCase() === file.isrc);
+            if (sameIsrc.length > 0) {
+                // Lo stesso ISRC compare su più release: vince quella con titolo e durata più vicini
+                const [best] = this._rank(sameIsrc, file);
+                return { status: 'matched', track: best.track, score: 1, method: 'isrc' };
+            }
+        }
+
+        const query = file.artist ? `track:${file.title} artist:${file.artist}` : file.title;
+        let results = await this.spotifyAPI.searchTracksForMatching(query, 10);
+        if (results.length === 0 && file.artist) {
+            // I filtri per campo sono severi con "feat." e simili: si riprova con una ricerca libera
+            results = await this.spotifyAPI.searchTracksForMatching(`${file.artist} ${file.title}`, 10);
+        }
+        if (results.length === 0) {
+            return { status: 'unmatched', reason: 'Nessun risultato su Spotify.' };
+        }
+
+        const ranked = this._rank(results, file).filter(candidate => candidate.score >= CANDIDATE_MIN_SCORE);
+        if (ranked.length === 0) {
+            return { status: 'unmatched', reason: 'Nessun risultato Spotify abbastanza simile.' };
+        }
+
+        const [best] = ranked;
+        const rival = ranked.find(candidate => !isSameRecording(candidate.track, best.track));
+        if (best.score < MATCH_MIN_SCORE || (rival && best.score - rival.score < AMBIGUITY_MARGIN)) {
+            return { status: 'ambiguous', candidates: ranked.slice(0, 5) };
+        }
+        return { status: 'matched', track: best.track, score: best.score, method: 'tags' };
+    }
+
+    _rank(tracks, file) {
+        return tracks
+            .map((track, position) => ({
+                track,
+                position,
+                ...scoreCandidate(
+                    { title: track.name, channel: track.artist, duration: track.duration / 1000 },
+                    { title: file.title, artist: file.artist, targetDurationMs: file.duration ? file.duration * 1000 : undefined }
+                )
+            }))
+            .sort((a, b) => b.score - a.score || a.position - b.position);
+    }
+}
@@ -0,0 +1,197 @@
+import path from 'path';
+import fs from 'fs';
+import { runProcess, describeFailure } from './processRunner.js';
+import { scoreCandidate } from './matchScorer.js';
+
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.flac', '.m4a', '.ogg', '.opus', '.wav']);
+const PROBE_TIMEOUT_MS = 20 * 1000;
+const CONVERT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_CANDIDATES = 5;
+
+// Legge tag e durata di un file con ffprobe
+export async function probeFile(filePath) {
+    const result = await runProcess('ffprobe', [
+        '-v', 'quiet', '-print_format', 'json', '-show_format', filePath
+    ], { timeoutMs: PROBE_TIMEOUT_MS, maxStdoutBytes: 1024 * 1024 });
+    if (!result.ok) {
+        throw new Error(describeFailure('ffprobe', result));
+    }
+
+    const format = JSON.parse(result.stdout).format || {};
+    // Le chiavi dei tag cambiano maiuscole a seconda del contenitore (ID3, Vorbis comment, MP4)
+    const tags = Object.fromEntries(Object.entries(format.tags || {}).map(([key, value]) => [key.toLowerCase(), value]));
+    return {
+        title: tags.title || path.basename(filePath, path.extname(filePath)),
+        artist: tags.artist || tags.album_artist || '',
+        album: tags.album || null,
+        isrc: (tags.tsrc || tags.isrc || '').toUpperCase() || null,
+        duration: parseFloat(format.duration) || null
+    };
+}
+
+// Elenca ricorsivamente i file audio di una cartella (esclusi i file nascosti)
+export async function* walkAudioFiles(dir) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        console.warn(`⚠️ Cartella non leggibile ${dir}:`, e.message);
+        return;
+    }
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walkAudioFiles(fullPath);
+        } else if (entry.isFile() && AUDIO_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            yield fullPath;
+        }
+    }
+}
+
+/**
+ * Rende servibile da /stream un file locale: gli mp3 restano dove sono (registrati con percorso
+ * assoluto, quindi mai cancellati dalla cache), gli altri formati vengono convertiti in mp3 in outputPath.
+ * @param {import('./trackIndex.js').default} trackIndex
+ * @param {string} filePath - File locale
+ * @param {string} outputPath - Destinazione della conversione
+ * @param {{spotifyId?: string, source: object, durationMs?: number, targetDurationMs?: number}} options
+ *        Con spotifyId il file viene registrato nell'indice
+ * @returns {Promise<string>} Il percorso del file da servire
+ */
+export async function importLocalFile(trackIndex, filePath, outputPath, options) {
+    let servedPath = filePath;
+
+    if (path.extname(filePath).toLowerCase() !== '.mp3') {
+        const tempPath = path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${process.pid}-${Date.now().toString(36)}.mp3`);
+        const result = await runProcess('ffmpeg', [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', filePath,
+            '-vn', '-map_metadata', '0', '-c:a', 'libmp3lame', '-q:a', '0',
+            tempPath
+        ], { timeoutMs: CONVERT_TIMEOUT_MS });
+        if (!result.ok) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw { success: false, message: `Conversione di ${filePath} fallita: ${describeFailure('ffmpeg', result)}` };
+        }
+        await fs.promises.rename(tempPath, outputPath);
+        servedPath = outputPath;
+    }
+
+    if (options.spotifyId) {
+        await trackIndex.register(options.spotifyId, {
+            path: servedPath,
+            source: options.source,
+            duration_ms: options.durationMs,
+            target_duration_ms: options.targetDurationMs || undefined
+        });
+    }
+    return servedPath;
+}
+
+/**
+ * Sorgente audio per la ProviderChain basata su una cartella di file già posseduti.
+ * I file vengono indicizzati (tag letti con ffprobe) in background e abbinati alle tracce
+ * Spotify per ISRC o per titolo/artista/durata. Gli mp3 vengono serviti dalla loro
+ * posizione originale (mai cancellati dalla cache), gli altri formati convertiti in mp3.
+ */
+export default class LocalFolderProvider {
+    /**
+     * @param {{rootDir: string, trackIndex: import('./trackIndex.js').default, rescanIntervalMs?: number}} options
+     */
+    constructor(options) {
+        this.name = 'local';
+        this.rootDir = path.resolve(options.rootDir);
+        this.trackIndex = options.trackIndex;
+        this.rescanIntervalMs = options.rescanIntervalMs || 30 * 60 * 1000;
+        // percorso -> {path, mtimeMs, title, artist, album, isrc, duration}
+        this.library = new Map();
+        this.scanning = null;
+        this.lastScanAt = 0;
+    }
+
+    /**
+     * Aggiorna l'indice della cartella: legge solo i file nuovi o modificati.
+     * Le ricerche durante la scansione usano i file già indicizzati.
+     */
+    scan() {
+        if (this.scanning) return this.scanning;
+        this.scanning = (async () => {
+            const started = Date.now();
+            const seen = new Set();
+            let probed = 0;
+            for await (const filePath of walkAudioFiles(this.rootDir)) {
+                seen.add(filePath);
+                try {
+                    const { mtimeMs } = await fs.promises.stat(filePath);
+                    if (this.library.get(filePath)?.mtimeMs === mtimeMs) continue;
+                    this.library.set(filePath, { path: filePath, mtimeMs, ...await probeFile(filePath) });
+                    probed++;
+                } catch (e) {
+                    console.warn(`⚠️ File locale ignorato ${filePath}:`, e.message);
+                }
+            }
+            for (const filePath of this.library.keys()) {
+                if (!seen.has(filePath)) this.library.delete(filePath);
+            }
+            this.lastScanAt = Date.now();
+            console.log(`📁 Cartella locale ${this.rootDir}: ${this.library.size} file (${probed} letti) in ${Date.now() - started} ms.`);
+        })().finally(() => {
+            this.scanning = null;
+        });
+        return this.scanning;
+    }
+
+    _scanIfStale() {
+        if (Date.now() - this.lastScanAt > this.rescanIntervalMs) {
+            this.scan().catch(err => console.error('Errore nella scansione della cartella locale:', err.message));
+        }
+    }
+
+    /**
+     * @param {import('./providerChain.js').TrackQuery} track
+     * @returns {Promise<import('./providerChain.js').Candidate[]>}
+     */
+    async searchCandidates(track) {
+        this._scanIfStale();
+
+        const isrc = track.isrc?.toUpperCase();
+        const candidates = [];
+        for (const file of this.library.values()) {
+            if (isrc && file.isrc === isrc) {
+                candidates.push({ id: file.path, title: file.title, score: 1, breakdown: { isrc: true }, file });
+                continue;
+            }
+            const { score, breakdown } = scoreCandidate(
+                { title: file.title, channel: file.artist, duration: file.duration },
+                { title: track.title, artist: track.artist, query: track.query, targetDurationMs: track.durationMs }
+            );
+            if (score > 0) candidates.push({ id: file.path, title: file.title, score, breakdown, file });
+        }
+        return candidates.sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+    }
+
+    /**
+     * @param {import('./providerChain.js').Candidate} candidate
+     * @param {string} outputPath - Usato solo se il file va convertito in mp3
+     * @param {import('./providerChain.js').TrackQuery} track
+     */
+    async fetchAudio(candidate, outputPath, track) {
+        const { file } = candidate;
+        const metadata = {
+            title: file.title,
+            channel: file.artist || 'N/D',
+            url: null,
+            match: { score: candidate.score, breakdown: candidate.breakdown }
+        };
+        const duration = file.duration ? Math.round(file.duration * 1000) : undefined;
+        const servedPath = await importLocalFile(this.trackIndex, file.path, outputPath, {
+            spotifyId: track.spotifyId,
+            source: { provider: 'local', file: file.path, ...metadata },
+            durationMs: duration,
+            targetDurationMs: track.durationMs
+        });
+        console.log(`📁 Traccia ${track.spotifyId || track.query} servita dalla cartella locale: ${file.path}`);
+        return { success: true, path: servedPath, duration, metadata };
+    }
+}
@@ -0,0 +1,152 @@
+import path from 'path';
+import { runProcess, describeFailure } from './processRunner.js';
+
+const ANALYSIS_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Livello di riferimento di ReplayGain 2.0
+export const REPLAYGAIN_REFERENCE_LUFS = -18;
+// Obiettivo di /stream?normalize=1, in linea con le piattaforme di streaming
+export const NORMALIZE_TARGET_LUFS = -14;
+// Il guadagno applicato non deve mai portare il true peak oltre questa soglia
+const NORMALIZE_MAX_TRUE_PEAK_DBTP = -1;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Analisi EBU R128 di un file tramite il filtro loudnorm di ffmpeg (solo misura, nessun output).
+ * @returns {Promise<{integrated_lufs: number, true_peak_dbtp: number, lra: number, analyzed_at: string}>}
+ */
+export async function analyzeLoudness(filePath) {
+    const result = await runProcess('ffmpeg', [
+        '-hide_banner', '-nostats', '-loglevel', 'info',
+        '-i', filePath,
+        '-vn', '-af', 'loudnorm=print_format=json',
+        '-f', 'null', '-'
+    ], { timeoutMs: ANALYSIS_TIMEOUT_MS });
+    if (!result.ok) {
+        throw new Error(describeFailure('ffmpeg', result));
+    }
+
+    // loudnorm stampa il riepilogo JSON come ultimo blocco di stderr
+    const match = [...result.stderr.matchAll(/\{[^{}]*"input_i"[^{}]*\}/g)].pop();
+    if (!match) {
+        throw new Error('Output di loudnorm non riconosciuto.');
+    }
+    const stats = JSON.parse(match[0]);
+    const integrated = parseFloat(stats.input_i);
+    const truePeak = parseFloat(stats.input_tp);
+    if (!Number.isFinite(integrated) || !Number.isFinite(truePeak)) {
+        // Traccia silenziosa: loudnorm riporta -inf
+        throw new Error(`Loudness non misurabile (I=${stats.input_i}, TP=${stats.input_tp}).`);
+    }
+
+    return {
+        integrated_lufs: round(integrated),
+        true_peak_dbtp: round(truePeak),
+        lra: round(parseFloat(stats.input_lra) || 0),
+        analyzed_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Valori in stile ReplayGain (traccia) a partire dall'analisi salvata nell'indice.
+ * @param {object} loudness - Campo "loudness" della voce dell'indice
+ * @param {number} [appliedGainDb] - Guadagno già applicato lato server (normalize=1)
+ * @returns {{track_gain_db: number, track_peak: number}|null}
+ */
+export function replayGain(loudness, appliedGainDb = 0) {
+    if (!loudness) return null;
+    return {
+        track_gain_db: round(REPLAYGAIN_REFERENCE_LUFS - loudness.integrated_lufs - appliedGainDb),
+        track_peak: round(10 ** ((loudness.true_peak_dbtp + appliedGainDb) / 20), 6)
+    };
+}
+
+// Guadagno per portare la traccia a NORMALIZE_TARGET_LUFS senza superare il limite di true peak
+export function normalizationGain(loudness) {
+    const gain = NORMALIZE_TARGET_LUFS - loudness.integrated_lufs;
+    return round(Math.min(gain, NORMALIZE_MAX_TRUE_PEAK_DBTP - loudness.true_peak_dbtp));
+}
+
+// Header della risposta di /stream
+export function loudnessHeaders(loudness, appliedGainDb = 0) {
+    const gain = replayGain(loudness, appliedGainDb);
+    if (!gain) return {};
+    const headers = {
+        'X-ReplayGain-Track-Gain': `${gain.track_gain_db.toFixed(2)} dB`,
+        'X-ReplayGain-Track-Peak': gain.track_peak.toFixed(6),
+        'X-Loudness-Integrated': `${loudness.integrated_lufs.toFixed(2)} LUFS`
+    };
+    if (appliedGainDb) {
+        headers['X-Normalization-Gain'] = `${appliedGainDb.toFixed(2)} dB`;
+    }
+    return headers;
+}
+
+/**
+ * Misura la loudness delle tracce appena scaricate (una alla volta, in background)
+ * e la salva nell'indice. All'avvio recupera le tracce mai analizzate.
+ */
+export default class LoudnessAnalyzer {
+    /**
+     * @param {import('./trackIndex.js').default} trackIndex
+     */
+    constructor(trackIndex) {
+        this.trackIndex = trackIndex;
+        this.inFlight = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    start() {
+        this.trackIndex.on('registered', (entry) => {
+            // Le varianti transcodificate hanno la stessa loudness dell'originale
+            if (entry.variant || entry.loudness) return;
+            this.schedule(entry.spotify_id);
+        });
+
+        this.trackIndex.all()
+            .then(entries => {
+                const pending = entries.filter(entry => !entry.loudness);
+                if (pending.length > 0) {
+                    console.log(`🔊 Analisi loudness in background per ${pending.length} tracce.`);
+                }
+                pending.forEach(entry => this.schedule(entry.spotify_id));
+            })
+            .catch(err => console.error('Errore nel recupero delle tracce da analizzare:', err.message));
+    }
+
+    // Accoda l'analisi: su una macchina piccola un solo ffmpeg alla volta
+    schedule(spotifyId) {
+        this.queue = this.queue
+            .then(() => this.analyze(spotifyId))
+            .catch(err => console.warn(`⚠️ Analisi loudness fallita per ${spotifyId}:`, err.message));
+        return this.queue;
+    }
+
+    /**
+     * Analizza subito una traccia (se non già fatto) e ritorna i valori salvati.
+     * @returns {Promise<object|null>} null se la traccia non è in cache
+     */
+    async analyze(spotifyId) {
+        if (this.inFlight.has(spotifyId)) return this.inFlight.get(spotifyId);
+
+        const promise = (async () => {
+            const entry = await this.trackIndex.resolve(spotifyId);
+            if (!entry) return null;
+            if (entry.loudness) return entry.loudness;
+
+            const loudness = await analyzeLoudness(entry.path);
+            await this.trackIndex.update(spotifyId, { loudness });
+            console.log(`🔊 Loudness di ${path.basename(entry.path)}: ${loudness.integrated_lufs} LUFS, ` +
+                `true peak ${loudness.true_peak_dbtp} dBTP.`);
+            return loudness;
+        })();
+
+        this.inFlight.set(spotifyId, promise);
+        try {
+            return await promise;
+        } finally {
+            this.inFlight.delete(spotifyId);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+const OVERRIDES_KEY = 'match-overrides';
+const REPORTS_KEY = 'match-reports';
+// Video segnalati come sbagliati per una traccia: esclusi dalle ricerche successive
+const rejectedKey = (spotifyId) => `match-overrides:rejected:${spotifyId}`;
+
+const quotaKey = (sessionId) => `match-overrides:quota:${sessionId}`;
+
+// Si conservano solo le segnalazioni più recenti per traccia
+const MAX_REPORTS_PER_TRACK = 20;
+
+// Ogni modifica fa cancellare e riscaricare una traccia: al più tante modifiche per finestra e utente
+const MAX_CHANGES_PER_WINDOW = 20;
+const CHANGES_WINDOW_SECONDS = 3600;
+
+const YOUTUBE_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
+
+export function isValidYoutubeId(youtubeId) {
+    return typeof youtubeId === 'string' && YOUTUBE_ID_REGEX.test(youtubeId);
+}
+
+function parseJSON(raw, fallback) {
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Correzioni manuali dell'abbinamento Spotify -> YouTube, persistite su Redis:
+ * video imposti a mano per una traccia e segnalazioni di abbinamenti sbagliati.
+ */
+export default class MatchOverrides {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis
+     */
+    constructor(redis) {
+        this.redis = redis;
+    }
+
+    /**
+     * @returns {Promise<{youtube_id: string, created_at: string}|null>}
+     */
+    async get(spotifyId) {
+        return parseJSON(await this.redis.hget(OVERRIDES_KEY, spotifyId), null);
+    }
+
+    async set(spotifyId, youtubeId) {
+        const override = { youtube_id: youtubeId, created_at: new Date().toISOString() };
+        await this.redis.multi()
+            .hset(OVERRIDES_KEY, spotifyId, JSON.stringify(override))
+            // Un video scelto a mano non può restare tra gli esclusi
+            .srem(rejectedKey(spotifyId), youtubeId)
+            .exec();
+        return override;
+    }
+
+    async remove(spotifyId) {
+        return (await this.redis.hdel(OVERRIDES_KEY, spotifyId)) > 0;
+    }
+
+    async rejectedIds(spotifyId) {
+        return this.redis.smembers(rejectedKey(spotifyId));
+    }
+
+    async reports(spotifyId) {
+        return parseJSON(await this.redis.hget(REPORTS_KEY, spotifyId), []);
+    }
+
+    /**
+     * Registra una segnalazione di abbinamento sbagliato. Il video segnalato viene escluso
+     * dalle ricerche successive e l'eventuale override che lo imponeva viene rimosso.
+     * @param {string} spotifyId
+     * @param {{youtubeId?: string, reason?: string}} report
+     */
+    async report(spotifyId, { youtubeId, reason } = {}) {
+        const reports = await this.reports(spotifyId);
+        const entry = {
+            youtube_id: youtubeId || null,
+            reason: reason || null,
+            reported_at: new Date().toISOString()
+        };
+        reports.push(entry);
+
+        const pipeline = this.redis.multi()
+            .hset(REPORTS_KEY, spotifyId, JSON.stringify(reports.slice(-MAX_REPORTS_PER_TRACK)));
+        if (youtubeId) {
+            pipeline.sadd(rejectedKey(spotifyId), youtubeId);
+            const override = await this.get(spotifyId);
+            if (override && override.youtube_id === youtubeId) {
+                pipeline.hdel(OVERRIDES_KEY, spotifyId);
+            }
+        }
+        await pipeline.exec();
+        return entry;
+    }
+
+    /**
+     * Conta una modifica (override o segnalazione) dell'utente nella finestra corrente.
+     * @param {string} sessionId
+     * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+     */
+    async consumeQuota(sessionId) {
+        const key = quotaKey(sessionId);
+        const [[, count], [, ttl]] = await this.redis.multi()
+            .incr(key)
+            .ttl(key)
+            .exec();
+        // Prima modifica della finestra (o chiave rimasta senza scadenza)
+        if (ttl < 0) {
+            await this.redis.expire(key, CHANGES_WINDOW_SECONDS);
+        }
+        return {
+            allowed: count <= MAX_CHANGES_PER_WINDOW,
+            retryAfterSeconds: ttl > 0 ? ttl : CHANGES_WINDOW_SECONDS
+        };
+    }
+}
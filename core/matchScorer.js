@@ -0,0 +1,136 @@
+// Punteggio dei risultati di ricerca YouTube rispetto alla traccia Spotify richiesta.
+// Ogni segnale contribuisce con un peso; il totale è normalizzato tra 0 e 1.
+
+const WEIGHTS = {
+    title: 40,
+    artist: 20,
+    channel: 15,
+    duration: 25
+};
+
+// Versioni alternative penalizzate, a meno che la traccia Spotify stessa non lo sia
+const ALTERNATE_VERSION_PENALTIES = [
+    { label: 'live', pattern: /\blive\b|\bin concerto\b/, penalty: 25 },
+    { label: 'cover', pattern: /\bcover\b/, penalty: 30 },
+    { label: 'remix', pattern: /\bremix\b|\brmx\b/, penalty: 25 },
+    { label: 'sped up', pattern: /\bsped up\b|\bspeed up\b|\bnightcore\b/, penalty: 35 },
+    { label: 'slowed', pattern: /\bslowed\b|\breverb\b/, penalty: 30 },
+    { label: 'karaoke', pattern: /\bkaraoke\b|\binstrumental\b|\bbase musicale\b/, penalty: 35 },
+    { label: '8d', pattern: /\b8d\b/, penalty: 25 }
+];
+
+// Parole di contorno tipiche dei titoli YouTube che non dicono nulla sulla traccia
+const NOISE_WORDS = new Set([
+    'official', 'video', 'audio', 'lyrics', 'lyric', 'testo', 'music', 'musicvideo', 'hd', 'hq', '4k',
+    'visualizer', 'videoclip', 'clip', 'ufficiale', 'feat', 'ft', 'featuring', 'prod', 'the', 'a', 'e', 'and'
+]);
+
+// Sotto questa soglia il video viene comunque usato, ma segnalato come poco affidabile
+export const LOW_CONFIDENCE_SCORE = 0.45;
+
+export function normalizeText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function tokens(text) {
+    return normalizeText(text).split(' ').filter(word => word && !NOISE_WORDS.has(word));
+}
+
+// Quota dei token di "expected" presenti in "actual" (0..1)
+function coverage(expected, actual) {
+    const expectedTokens = [...new Set(tokens(expected))];
+    if (expectedTokens.length === 0) return 0;
+    const actualTokens = new Set(tokens(actual));
+    return expectedTokens.filter(word => actualTokens.has(word)).length / expectedTokens.length;
+}
+
+function channelScore(video, artist) {
+    const channel = video.channel || video.uploader || '';
+    if (/ - topic$/i.test(channel)) return { score: 1, reason: 'topic' };
+
+    const normalizedChannel = normalizeText(channel)
+        .replace(/\b(official|music|tv)\b/g, '')
+        .replace(/\s+/g, '')
+        .replace(/vevo$/, '');
+    const normalizedArtist = normalizeText(artist).replace(/\s+/g, '');
+    if (normalizedArtist && normalizedChannel === normalizedArtist) {
+        return { score: video.channel_is_verified ? 1 : 0.8, reason: 'artist' };
+    }
+    if (/vevo$/i.test(channel)) return { score: 0.8, reason: 'vevo' };
+    if (video.channel_is_verified) return { score: 0.4, reason: 'verified' };
+    return { score: 0, reason: null };
+}
+
+// 1 entro il ±10% (come il vecchio filtro), poi cala linearmente fino a 0 al triplo della tolleranza
+function durationScore(videoSeconds, targetDurationMs) {
+    if (!targetDurationMs || typeof videoSeconds !== 'number') return { score: 0.5, diff: null };
+    const targetSeconds = targetDurationMs / 1000;
+    const tolerance = Math.max(5, Math.min(15, targetSeconds * 0.10));
+    const diff = Math.abs(videoSeconds - targetSeconds);
+    if (diff <= tolerance) return { score: 1 - 0.2 * (diff / tolerance), diff };
+    return { score: Math.max(0, 0.8 * (1 - (diff - tolerance) / (2 * tolerance))), diff };
+}
+
+/**
+ * Calcola il punteggio di un video candidato.
+ * @param {object} video - Metadati yt-dlp (--dump-json)
+ * @param {{title?: string, artist?: string, query?: string, targetDurationMs?: number}} track
+ *        Senza title/artist la similarità viene calcolata sulla query di ricerca
+ * @returns {{score: number, breakdown: object}}
+ */
+export function scoreCandidate(video, track) {
+    const title = track.title || track.query || '';
+    const artist = track.artist || '';
+    const videoTitle = video.title || '';
+    const videoText = `${videoTitle} ${video.channel || video.uploader || ''}`;
+
+    const titleSimilarity = coverage(title, videoTitle);
+    const artistSimilarity = artist ? coverage(artist, videoText) : titleSimilarity;
+    const channel = channelScore(video, artist);
+    const duration = durationScore(video.duration, track.targetDurationMs);
+
+    const expected = normalizeText(`${title} ${artist}`);
+    const actual = normalizeText(videoTitle);
+    const penalties = ALTERNATE_VERSION_PENALTIES
+        .filter(({ pattern }) => pattern.test(actual) && !pattern.test(expected))
+        .map(({ label, penalty }) => ({ label, penalty }));
+    const penaltyTotal = penalties.reduce((sum, { penalty }) => sum + penalty, 0);
+
+    const raw = titleSimilarity * WEIGHTS.title
+        + artistSimilarity * WEIGHTS.artist
+        + channel.score * WEIGHTS.channel
+        + duration.score * WEIGHTS.duration
+        - penaltyTotal;
+    const max = WEIGHTS.title + WEIGHTS.artist + WEIGHTS.channel + WEIGHTS.duration;
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+        score: round(Math.max(0, raw) / max),
+        breakdown: {
+            title: round(titleSimilarity * WEIGHTS.title),
+            artist: round(artistSimilarity * WEIGHTS.artist),
+            channel: round(channel.score * WEIGHTS.channel),
+            channel_match: channel.reason,
+            duration: round(duration.score * WEIGHTS.duration),
+            duration_diff_s: duration.diff === null ? null : round(duration.diff),
+            penalties
+        }
+    };
+}
+
+/**
+ * Ordina i candidati per punteggio decrescente (a parità, vince l'ordine di YouTube).
+ * @returns {Array<{video: object, score: number, breakdown: object}>}
+ */
+export function rankCandidates(videos, track) {
+    return videos
+        .map((video, position) => ({ video, position, ...scoreCandidate(video, track) }))
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .map(({ position, ...candidate }) => candidate);
+}
@@ -0,0 +1,107 @@
+// Paginazione comune degli endpoint a lista di Spotify: cursori opachi e stessa busta di pagina
+// ({items, total, limit, offset, next_cursor, previous_cursor}) su tutti gli endpoint.
+
+// Pagine richieste insieme in modalità all=true
+const PAGE_CONCURRENCY = 3;
+// Elementi al più in modalità all=true (come il massimo di tracce per job di download): oltre,
+// next_cursor porta al resto, così una sola richiesta non consuma il budget Spotify del token
+export const MAX_ALL_ITEMS = 500;
+
+export function encodeCursor(offset, limit) {
+    return Buffer.from(JSON.stringify({ o: offset, l: limit })).toString('base64url');
+}
+
+// null se il cursore non è stato emesso da encodeCursor
+export function decodeCursor(cursor) {
+    try {
+        const { o, l } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(o) && o >= 0 && Number.isInteger(l) && l > 0) {
+            return { offset: o, limit: l };
+        }
+    } catch {
+        // Cursore malformato
+    }
+    return null;
+}
+
+/**
+ * Legge ?cursor=, ?limit=&offset= oppure ?all=true dalla query di una richiesta.
+ * @param {object} query - req.query
+ * @param {{defaultLimit?: number, maxLimit: number}} options - maxLimit: massimo dell'endpoint Spotify
+ * @returns {{page?: {limit?: number, offset?: number, all?: boolean}, error?: string}}
+ */
+export function parsePageQuery(query, { defaultLimit = 20, maxLimit }) {
+    if (query.all === 'true' || query.all === '1') {
+        return { page: { all: true } };
+    }
+    if (query.cursor !== undefined) {
+        const page = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+        if (!page || page.limit > maxLimit) {
+            return { error: 'cursor non valido.' };
+        }
+        return { page };
+    }
+
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit deve essere un intero tra 1 e ${maxLimit}.` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset deve essere un intero non negativo.' };
+    }
+    return { page: { limit, offset } };
+}
+
+export function pageEnvelope(items, { total, limit, offset }) {
+    return {
+        items,
+        total,
+        limit,
+        offset,
+        next_cursor: offset + limit < total ? encodeCursor(offset + limit, limit) : null,
+        previous_cursor: offset > 0 ? encodeCursor(Math.max(0, offset - limit), limit) : null
+    };
+}
+
+/**
+ * Una pagina oppure, con page.all, tutte le pagine nell'ordine originale fino a MAX_ALL_ITEMS
+ * elementi (next_cursor non null se ne restano altri).
+ * Gli offset seguono quelli di Spotify: una pagina può avere meno elementi di limit
+ * (es. tracce locali scartate) senza spostare i cursori.
+ * @param {(limit: number, offset: number) => Promise<{items: Array, total: number}>} fetchPage
+ * @param {{limit?: number, offset?: number, all?: boolean}} page
+ * @param {{pageSize: number}} options - pageSize: massimo di elementi per richiesta dell'endpoint
+ */
+export async function paginate(fetchPage, page, { pageSize }) {
+    if (!page.all) {
+        const limit = Math.min(page.limit || pageSize, pageSize);
+        const offset = page.offset || 0;
+        const { items, total } = await fetchPage(limit, offset);
+        return pageEnvelope(items, { total, limit, offset });
+    }
+
+    // La prima pagina dà il totale, le altre si scaricano in parallelo (al più PAGE_CONCURRENCY)
+    const first = await fetchPage(pageSize, 0);
+    const offsets = [];
+    for (let offset = pageSize; offset < Math.min(first.total, MAX_ALL_ITEMS); offset += pageSize) {
+        offsets.push(offset);
+    }
+    const end = Math.min(first.total, (offsets.length > 0 ? offsets[offsets.length - 1] : 0) + pageSize);
+    const pages = new Array(offsets.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < offsets.length) {
+            const index = next++;
+            pages[index] = (await fetchPage(pageSize, offsets[index])).items;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PAGE_CONCURRENCY, offsets.length) }, worker));
+
+    const items = first.items.concat(...pages);
+    const envelope = pageEnvelope(items, { total: first.total, limit: Math.max(end, pageSize), offset: 0 });
+    // Il resto si chiede a pagine della dimensione dell'endpoint
+    envelope.next_cursor = end < first.total ? encodeCursor(end, pageSize) : null;
+    return envelope;
+}
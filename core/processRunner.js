@@ -0,0 +1,166 @@
+import { spawn } from 'child_process';
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_STDOUT_BYTES = 32 * 1024 * 1024;
+// Di stderr si conserva solo la coda: è lì che yt-dlp e ffmpeg scrivono l'errore finale
+const MAX_STDERR_BYTES = 64 * 1024;
+// Dopo SIGTERM si lascia al processo questo tempo per chiudersi prima del SIGKILL
+const KILL_GRACE_MS = 2000;
+
+/**
+ * Esegue un processo senza passare dalla shell: gli argomenti arrivano al programma così
+ * come sono, quindi query e percorsi non vanno mai quotati o sanificati.
+ * La promise non viene mai rifiutata: ogni esito (anche spawn fallito, timeout o
+ * annullamento) è descritto nel risultato.
+ * @param {string} command - Eseguibile (cercato nel PATH)
+ * @param {string[]} args - Argomenti
+ * @param {{timeoutMs?: number, maxStdoutBytes?: number, signal?: AbortSignal, cwd?: string, env?: object,
+ *          onStdout?: (chunk: Buffer) => void|Promise<void>, input?: import('stream').Readable}} [options]
+ *        timeoutMs a 0 disattiva il timeout. Con onStdout ogni chunk di stdout viene passato alla callback
+ *        invece di essere accumulato (stdout nel risultato resta vuoto e maxStdoutBytes non si applica);
+ *        se la callback ritorna una promise (destinazione piena), stdout resta in pausa finché non si risolve.
+ *        input viene collegato allo stdin del processo (es. l'output di un altro processo)
+ * @returns {Promise<{ok: boolean, code: number|null, signal: string|null, stdout: string, stderr: string,
+ *          timedOut: boolean, aborted: boolean, stdoutTruncated: boolean, error?: Error, durationMs: number}>}
+ */
+export function runProcess(command, args, options = {}) {
+    const {
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        maxStdoutBytes = DEFAULT_MAX_STDOUT_BYTES,
+        signal,
+        cwd,
+        env,
+        onStdout,
+        input
+    } = options;
+    const started = Date.now();
+
+    return new Promise((resolve) => {
+        const result = {
+            ok: false,
+            code: null,
+            signal: null,
+            stdout: '',
+            stderr: '',
+            timedOut: false,
+            aborted: false,
+            stdoutTruncated: false,
+            durationMs: 0
+        };
+
+        if (signal?.aborted) {
+            resolve({ ...result, aborted: true });
+            return;
+        }
+
+        const stdoutChunks = [];
+        let stdoutBytes = 0;
+        let stderr = '';
+        let timeoutTimer = null;
+        let killTimer = null;
+        let settled = false;
+        // Terminato il processo, stdout va solo svuotato: una destinazione chiusa non drena più
+        let discardStdout = false;
+
+        const child = spawn(command, args, { cwd, env, stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+        if (input) {
+            // EPIPE se il processo termina prima della fine dell'input: l'esito resta quello del processo
+            child.stdin.on('error', () => {});
+            input.pipe(child.stdin);
+        }
+
+        const terminate = () => {
+            if (onStdout) {
+                discardStdout = true;
+                child.stdout.resume();
+            }
+            if (child.exitCode !== null || child.signalCode !== null) return;
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+            killTimer.unref();
+        };
+
+        const onAbort = () => {
+            result.aborted = true;
+            terminate();
+        };
+
+        const finish = (extra) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(killTimer);
+            signal?.removeEventListener('abort', onAbort);
+            Object.assign(result, extra, {
+                stdout: Buffer.concat(stdoutChunks).toString(),
+                stderr,
+                durationMs: Date.now() - started
+            });
+            result.ok = !result.error && result.code === 0
+                && !result.timedOut && !result.aborted && !result.stdoutTruncated;
+            resolve(result);
+        };
+
+        child.stdout.on('data', (chunk) => {
+            if (onStdout) {
+                if (discardStdout) return;
+                try {
+                    const pending = onStdout(chunk);
+                    if (pending) {
+                        child.stdout.pause();
+                        pending.then(() => {
+                            if (!discardStdout) child.stdout.resume();
+                        }, (error) => {
+                            result.error = error;
+                            terminate();
+                        });
+                    }
+                } catch (error) {
+                    result.error = error;
+                    terminate();
+                }
+                return;
+            }
+            if (result.stdoutTruncated) return;
+            const remaining = maxStdoutBytes - stdoutBytes;
+            if (chunk.length > remaining) {
+                stdoutChunks.push(chunk.subarray(0, remaining));
+                stdoutBytes = maxStdoutBytes;
+                result.stdoutTruncated = true;
+                terminate();
+                return;
+            }
+            stdoutChunks.push(chunk);
+            stdoutBytes += chunk.length;
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk.toString()).slice(-MAX_STDERR_BYTES);
+        });
+
+        child.once('error', (error) => finish({ error }));
+        child.once('close', (code, exitSignal) => finish({ code, signal: exitSignal }));
+
+        if (timeoutMs > 0) {
+            timeoutTimer = setTimeout(() => {
+                result.timedOut = true;
+                terminate();
+            }, timeoutMs);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Descrizione leggibile del motivo per cui un processo non è andato a buon fine.
+ * @param {string} label - Nome del comando da mostrare nel messaggio
+ * @param {Awaited<ReturnType<typeof runProcess>>} result
+ */
+export function describeFailure(label, result) {
+    if (result.error) return `${label} non avviabile: ${result.error.message}`;
+    if (result.timedOut) return `${label} interrotto per timeout dopo ${Math.round(result.durationMs / 1000)}s`;
+    if (result.aborted) return `${label} annullato`;
+    if (result.stdoutTruncated) return `${label} ha prodotto troppo output`;
+    const stderr = result.stderr.trim();
+    const exit = result.signal ? `segnale ${result.signal}` : `codice ${result.code}`;
+    return `${label} terminato con ${exit}${stderr ? `: ${stderr}` : ''}`;
+}
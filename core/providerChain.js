@@ -0,0 +1,199 @@
+import { LOW_CONFIDENCE_SCORE } from './matchScorer.js';
+
+/**
+ * @typedef {object} TrackQuery
+ * @property {string} query - Query di ricerca libera (artista + titolo)
+ * @property {string} [title] - Titolo Spotify
+ * @property {string} [artist] - Artisti Spotify
+ * @property {number} [durationMs] - Durata Spotify
+ * @property {string} [isrc]
+ * @property {string} [spotifyId] - Se presente il risultato viene registrato nell'indice
+ */
+
+/**
+ * @typedef {object} Candidate
+ * @property {string} id - Identificativo nella sorgente (ID video, percorso file...)
+ * @property {string} title
+ * @property {number} score - Affidabilità dell'abbinamento, tra 0 e 1
+ * @property {object|null} breakdown - Dettaglio del punteggio
+ */
+
+/**
+ * Interfaccia di una sorgente audio:
+ *  - name: string
+ *  - searchCandidates(track, {signal}) -> Promise<Candidate[]> ordinati per punteggio
+ *  - fetchAudio(candidate, outputPath, track, {signal}) -> Promise<result> come YoutubeAPI.searchAndDownload,
+ *    con la traccia già registrata nell'indice se track.spotifyId è presente
+ *  - startProgressive(track, outputPath) (facoltativo) -> come YoutubeAPI.startProgressiveDownload
+ * @typedef {object} AudioProvider
+ */
+
+/**
+ * Catena di sorgenti audio in ordine di priorità: si passa alla successiva quando una
+ * fallisce o non trova un candidato sopra la soglia di affidabilità. Se nessuna supera la
+ * soglia si usa comunque il candidato migliore tra tutte.
+ * Espone la stessa interfaccia di YoutubeAPI per /stream e la coda dei download.
+ */
+export default class ProviderChain {
+    /**
+     * @param {AudioProvider[]} providers - In ordine di priorità
+     * @param {{trackIndex: import('./trackIndex.js').default, singleFlight?: import('./singleFlight.js').default, minScore?: number}} options
+     */
+    constructor(providers, options) {
+        if (providers.length === 0) {
+            throw new Error('Nessuna sorgente audio configurata.');
+        }
+        this.providers = providers;
+        this.trackIndex = options.trackIndex;
+        this.singleFlight = options.singleFlight || null;
+        this.minScore = options.minScore ?? LOW_CONFIDENCE_SCORE;
+    }
+
+    get names() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    async _resolveCached(spotifyId) {
+        const cached = await this.trackIndex.resolve(spotifyId);
+        if (!cached) return null;
+        return {
+            success: true,
+            cached: true,
+            path: cached.path,
+            duration: cached.duration_ms,
+            metadata: cached.source
+        };
+    }
+
+    _trackQuery(query, targetDurationMs, options) {
+        return {
+            query,
+            title: options.title,
+            artist: options.artist,
+            durationMs: targetDurationMs,
+            isrc: options.isrc,
+            spotifyId: options.spotifyId
+        };
+    }
+
+    /**
+     * Stessa interfaccia di YoutubeAPI.searchAndDownload, provando le sorgenti in ordine.
+     * @param {string} query - Query di ricerca (titolo + artista)
+     * @param {number} targetDurationMs - Durata target in millisecondi
+     * @param {string} [outputPath] - Percorso del file in cache (di default quello dell'indice)
+     * @param {{spotifyId?: string, title?: string, artist?: string, isrc?: string, signal?: AbortSignal}} [options]
+     */
+    async searchAndDownload(query, targetDurationMs, outputPath, options = {}) {
+        const { spotifyId, signal } = options;
+        if (spotifyId) {
+            const cached = await this._resolveCached(spotifyId);
+            if (cached) return cached;
+            outputPath = outputPath || this.trackIndex.filePathFor(spotifyId);
+        }
+        if (!outputPath) {
+            throw { success: false, message: 'Percorso di output mancante e nessun ID Spotify da cui ricavarlo.' };
+        }
+
+        const track = this._trackQuery(query, targetDurationMs, options);
+        if (!spotifyId || !this.singleFlight) {
+            return this._fetchFromChain(track, outputPath, signal);
+        }
+
+        const resolveCached = () => this._resolveCached(spotifyId);
+        return this.singleFlight.run(`download:${spotifyId}`, async (sharedSignal) => {
+            return (await resolveCached()) || this._fetchFromChain(track, outputPath, sharedSignal);
+        }, { isDone: resolveCached, signal });
+    }
+
+    async _fetchFromChain(track, outputPath, signal) {
+        const failures = [];
+        let fallback = null;
+
+        for (const provider of this.providers) {
+            let best;
+            try {
+                [best] = await provider.searchCandidates(track, { signal });
+            } catch (error) {
+                if (error?.aborted) throw error;
+                failures.push(`${provider.name}: ${error?.message || error}`);
+                console.warn(`⚠️ Sorgente ${provider.name} non disponibile per "${track.query}":`, error?.message || error);
+                continue;
+            }
+
+            if (!best) {
+                failures.push(`${provider.name}: nessun risultato`);
+                continue;
+            }
+            if (best.score < this.minScore) {
+                console.log(`➖ Sorgente ${provider.name}: miglior candidato "${best.title}" sotto soglia (${best.score} < ${this.minScore}).`);
+                failures.push(`${provider.name}: nessun candidato affidabile`);
+                if (!fallback || best.score > fallback.candidate.score) {
+                    fallback = { provider, candidate: best };
+                }
+                continue;
+            }
+
+            try {
+                return await this._fetch(provider, best, outputPath, track, signal);
+            } catch (error) {
+                if (error?.aborted) throw error;
+                failures.push(`${provider.name}: ${error?.message || error}`);
+                console.warn(`⚠️ Sorgente ${provider.name} fallita per "${track.query}", provo la successiva:`, error?.message || error);
+            }
+        }
+
+        if (fallback) {
+            console.warn(`⚠️ Nessuna sorgente affidabile per "${track.query}": uso "${fallback.candidate.title}" da ${fallback.provider.name} (punteggio ${fallback.candidate.score}).`);
+            return this._fetch(fallback.provider, fallback.candidate, outputPath, track, signal);
+        }
+        throw { success: false, message: `Brano non trovato in nessuna sorgente audio (${failures.join('; ')}).` };
+    }
+
+    async _fetch(provider, candidate, outputPath, track, signal) {
+        console.log(`🎧 Sorgente ${provider.name}: "${candidate.title}" (punteggio ${candidate.score})`);
+        const result = await provider.fetchAudio(candidate, outputPath, track, { signal });
+        return { ...result, provider: provider.name };
+    }
+
+    /**
+     * Stessa interfaccia di YoutubeAPI.startProgressiveDownload. Le sorgenti che precedono la prima
+     * con streaming progressivo vengono provate normalmente; se una ha un candidato affidabile
+     * il risultato è il file completo.
+     */
+    async startProgressiveDownload(query, targetDurationMs, outputPath, options = {}) {
+        const { spotifyId } = options;
+        if (spotifyId) {
+            const cached = await this._resolveCached(spotifyId);
+            if (cached) return { result: cached };
+            outputPath = outputPath || this.trackIndex.filePathFor(spotifyId);
+        }
+
+        const track = this._trackQuery(query, targetDurationMs, options);
+        for (const provider of this.providers) {
+            if (provider.startProgressive) {
+                return provider.startProgressive(track, outputPath);
+            }
+
+            let best;
+            try {
+                [best] = await provider.searchCandidates(track, {});
+            } catch (error) {
+                console.warn(`⚠️ Sorgente ${provider.name} non disponibile per "${query}":`, error?.message || error);
+                continue;
+            }
+            if (best && best.score >= this.minScore) {
+                const fetch = () => this._fetch(provider, best, outputPath, track);
+                if (!spotifyId || !this.singleFlight) return { result: await fetch() };
+
+                const resolveCached = () => this._resolveCached(spotifyId);
+                const result = await this.singleFlight.run(`download:${spotifyId}`, async () => {
+                    return (await resolveCached()) || fetch();
+                }, { isDone: resolveCached });
+                return { result };
+            }
+        }
+
+        // Nessuna sorgente progressiva nella catena
+        return { result: await this.searchAndDownload(query, targetDurationMs, outputPath, options) };
+    }
+}
@@ -0,0 +1,225 @@
+import fs from 'fs';
+
+// Numero massimo di range accettati in una singola richiesta multipart.
+// Oltre questo limite si serve il file intero (evita richieste "a ventaglio").
+const MAX_RANGES = 20;
+
+/**
+ * Interpreta l'header Range (solo unità "bytes").
+ * @param {string} header - Valore dell'header Range
+ * @param {number} size - Dimensione totale del file in byte
+ * @returns {Array<{start: number, end: number}>|null|-1} Range ordinati e fusi,
+ *          null se l'header non è valido (va ignorato), -1 se nessun range è soddisfacibile
+ */
+export function parseRangeHeader(header, size) {
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+    if (!match) return null;
+
+    const ranges = [];
+    for (const part of match[1].split(',')) {
+        const spec = part.trim();
+        if (!spec) continue;
+
+        const rangeMatch = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+        if (!rangeMatch || (rangeMatch[1] === '' && rangeMatch[2] === '')) return null;
+
+        let start;
+        let end;
+        if (rangeMatch[1] === '') {
+            // Suffix range: ultimi N byte
+            const suffixLength = parseInt(rangeMatch[2], 10);
+            if (suffixLength === 0) continue;
+            start = Math.max(0, size - suffixLength);
+            end = size - 1;
+        } else {
+            start = parseInt(rangeMatch[1], 10);
+            end = rangeMatch[2] === '' ? size - 1 : Math.min(parseInt(rangeMatch[2], 10), size - 1);
+            if (rangeMatch[2] !== '' && parseInt(rangeMatch[2], 10) < start) return null;
+        }
+
+        if (start >= size || start > end) continue;
+        ranges.push({ start, end });
+    }
+
+    if (ranges.length === 0) return -1;
+
+    // Ordina e fonde i range sovrapposti o adiacenti
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+// tag distingue rappresentazioni diverse derivate dallo stesso file (es. "json-1000" per i picchi)
+export function buildEtag(stats, tag) {
+    const base = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+    return `"${tag ? `${base}-${tag}` : base}"`;
+}
+
+// If-None-Match usa il confronto debole (W/ ignorato), If-Match quello forte (RFC 9110 §8.8.3.2)
+function etagMatches(header, etag, { weak = false } = {}) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => {
+        const value = tag.trim();
+        return (weak ? value.replace(/^W\//, '') : value) === etag;
+    });
+}
+
+function notModifiedSince(header, stats) {
+    const since = Date.parse(header || '');
+    return !isNaN(since) && Math.floor(stats.mtimeMs / 1000) * 1000 <= since;
+}
+
+// If-Range: il range si applica solo se il validatore corrisponde alla versione corrente
+function ifRangeSatisfied(header, etag, stats) {
+    if (!header) return true;
+    const value = header.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        return value === etag;
+    }
+    const date = Date.parse(value);
+    return !isNaN(date) && Math.floor(stats.mtimeMs / 1000) * 1000 === date;
+}
+
+function pipeFileRange(res, filePath, range) {
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath, range);
+        const onClose = () => stream.destroy();
+        res.once('close', onClose);
+        stream.on('error', reject);
+        // 'close' arriva sia a fine lettura sia dopo destroy() (client disconnesso): dopo un errore non conta più
+        stream.on('close', () => {
+            res.off('close', onClose);
+            resolve();
+        });
+        stream.pipe(res, { end: false });
+    });
+}
+
+async function sendMultipart(res, filePath, ranges, size, contentType) {
+    const boundary = `freesound-${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+    const partHeaders = ranges.map(({ start, end }) =>
+        `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    );
+    const closing = `\r\n--${boundary}--\r\n`;
+    const contentLength = partHeaders.reduce((sum, h, i) =>
+        sum + Buffer.byteLength(h) + (ranges[i].end - ranges[i].start + 1), Buffer.byteLength(closing));
+
+    res.status(206).set({
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': contentLength
+    });
+
+    if (res.req.method === 'HEAD') return res.end();
+
+    for (let i = 0; i < ranges.length; i++) {
+        if (res.destroyed) return;
+        res.write(partHeaders[i]);
+        await pipeFileRange(res, filePath, ranges[i]);
+    }
+    res.end(closing);
+}
+
+/**
+ * Invia un file audio gestendo Range (singoli, multipli e suffissi), If-Range,
+ * ETag/Last-Modified e le richieste condizionali.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} filePath - Percorso del file da inviare
+ * @param {{contentType?: string, fileName?: string}} [options]
+ * @returns {Promise<void>}
+ */
+export async function sendAudioFile(req, res, filePath, options = {}) {
+    const contentType = options.contentType || 'audio/mpeg';
+    const stats = await fs.promises.stat(filePath);
+    const size = stats.size;
+    const etag = buildEtag(stats);
+
+    res.set({
+        'Content-Type': contentType,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString()
+    });
+    if (options.fileName) {
+        res.set('Content-Disposition', `inline; filename="${encodeURIComponent(options.fileName)}"`);
+    }
+
+    // Precondizioni (RFC 9110 §13.2.2)
+    const ifMatch = req.get('If-Match');
+    if ((ifMatch && !etagMatches(ifMatch, etag)) ||
+        (!ifMatch && req.get('If-Unmodified-Since') && !notModifiedSince(req.get('If-Unmodified-Since'), stats))) {
+        return res.status(412).end();
+    }
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch ? etagMatches(ifNoneMatch, etag, { weak: true }) : notModifiedSince(req.get('If-Modified-Since'), stats)) {
+        return res.status(304).end();
+    }
+
+    const rangeHeader = req.get('Range');
+    let ranges = null;
+    if (rangeHeader && ifRangeSatisfied(req.get('If-Range'), etag, stats)) {
+        ranges = parseRangeHeader(rangeHeader, size);
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+        if (ranges && ranges.length > MAX_RANGES) {
+            ranges = null;
+        }
+    }
+
+    if (ranges && ranges.length > 1) {
+        return sendMultipart(res, filePath, ranges, size, contentType);
+    }
+
+    let range = { start: 0, end: size - 1 };
+    if (ranges) {
+        range = ranges[0];
+        res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    } else {
+        res.status(200);
+    }
+    res.set('Content-Length', size === 0 ? 0 : range.end - range.start + 1);
+
+    if (req.method === 'HEAD' || size === 0) return res.end();
+
+    await pipeFileRange(res, filePath, range);
+    res.end();
+}
+
+/**
+ * Invia lo stream di un download progressivo: lunghezza ignota, quindi niente Range.
+ * Se il client si disconnette prima della fine il job viene interrotto (e il file parziale scartato).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{stream: import('stream').Readable, contentType: string, done: Promise<object>, abort: () => void}} job
+ * @param {{fileName?: string}} [options]
+ * @returns {Promise<object>} Il risultato del download una volta completato
+ */
+export function sendProgressiveStream(req, res, job, options = {}) {
+    res.status(200).set({
+        'Content-Type': job.contentType,
+        'Accept-Ranges': 'none',
+        'Cache-Control': 'no-store'
+    });
+    if (options.fileName) {
+        res.set('Content-Disposition', `inline; filename="${encodeURIComponent(options.fileName)}"`);
+    }
+
+    res.on('close', () => {
+        if (!res.writableFinished) job.abort();
+    });
+    // Un errore a metà stream non può più diventare un codice HTTP: si chiude la connessione
+    job.stream.once('error', () => res.destroy());
+    job.stream.pipe(res);
+    return job.done;
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+const DEFAULT_RATE_PER_SECOND = 10;
+const DEFAULT_BURST = 20;
+// Oltre questa attesa (Retry-After lunghi) la richiesta fallisce subito invece di restare appesa
+const DEFAULT_MAX_WAIT_MS = 30000;
+// Secchi inattivi da più di così vengono dimenticati (token scaduti, utenti disconnessi)
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+const PRUNE_THRESHOLD = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Budget di richieste a Spotify per access token (token bucket): tutte le chiamate fatte con lo
+ * stesso token condividono il ritmo e, dopo un 429, la stessa pausa indicata da Retry-After.
+ */
+export default class RequestBudget {
+    /**
+     * @param {{ratePerSecond?: number, burst?: number, maxWaitMs?: number}} [options]
+     */
+    constructor(options = {}) {
+        this.ratePerSecond = options.ratePerSecond || DEFAULT_RATE_PER_SECOND;
+        this.burst = options.burst || DEFAULT_BURST;
+        this.maxWaitMs = options.maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+        this.buckets = new Map();
+    }
+
+    // Il token non si tiene in chiaro come chiave
+    _bucket(accessToken) {
+        const key = crypto.createHash('sha256').update(accessToken).digest('base64url').slice(0, 16);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            if (this.buckets.size >= PRUNE_THRESHOLD) this._prune();
+            bucket = { tokens: this.burst, updatedAt: Date.now(), pausedUntil: 0 };
+            this.buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    _prune() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.pausedUntil < now && now - bucket.updatedAt > IDLE_BUCKET_MS) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Attende un posto nel budget del token. Fallisce con status 429 se il token è in pausa
+     * per più di maxWaitMs.
+     * @param {string} accessToken
+     */
+    async acquire(accessToken) {
+        const bucket = this._bucket(accessToken);
+        while (true) {
+            const now = Date.now();
+            bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.ratePerSecond / 1000);
+            bucket.updatedAt = now;
+
+            let waitMs = 0;
+            if (bucket.pausedUntil > now) {
+                waitMs = bucket.pausedUntil - now;
+                if (waitMs > this.maxWaitMs) {
+                    const error = new Error(`Limite di richieste Spotify raggiunto, riprova tra ${Math.ceil(waitMs / 1000)} s.`);
+                    error.status = 429;
+                    error.transient = true;
+                    throw error;
+                }
+            } else if (bucket.tokens < 1) {
+                waitMs = Math.ceil((1 - bucket.tokens) * 1000 / this.ratePerSecond);
+            }
+
+            if (waitMs === 0) {
+                bucket.tokens -= 1;
+                return;
+            }
+            await sleep(waitMs);
+        }
+    }
+
+    // Dopo un 429: nessuna richiesta con questo token prima di retryAfterMs
+    pause(accessToken, retryAfterMs) {
+        const bucket = this._bucket(accessToken);
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + retryAfterMs);
+    }
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+
+// Rilascia/rinnova il lock solo se appartiene ancora a chi lo detiene (token).
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Esegue un solo job per chiave alla volta, sia all'interno del processo (promise condivisa)
+ * sia tra più processi Node (lock Redis con TTL rinnovato finché il job è in corso).
+ * Chi non ottiene il lock attende che il detentore finisca e riusa il risultato tramite `isDone`.
+ */
+export default class SingleFlight {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis
+     * @param {{prefix?: string, lockTtlMs?: number, pollIntervalMs?: number, waitTimeoutMs?: number}} [options]
+     */
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.prefix = options.prefix || 'lock:';
+        this.lockTtlMs = options.lockTtlMs || 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.waitTimeoutMs = options.waitTimeoutMs || 10 * 60 * 1000;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * @template T
+     * @param {string} key - Chiave del job (es. "download:<spotify_id>")
+     * @param {(signal: AbortSignal) => Promise<T>} fn - Job da eseguire se si ottiene il lock; il signal
+     *        condiviso scatta solo quando tutti i chiamanti in attesa hanno annullato
+     * @param {{isDone?: () => Promise<T|null>, signal?: AbortSignal}} [options] - isDone controlla se un altro
+     *        processo ha già prodotto il risultato; signal annulla l'attesa di questo chiamante
+     * @returns {Promise<T>}
+     */
+    run(key, fn, options = {}) {
+        let flight = this.inFlight.get(key);
+        if (flight) {
+            console.log(`⏳ Job "${key}" già in corso in questo processo, attendo il risultato.`);
+        } else {
+            const controller = new AbortController();
+            const created = { key, controller, waiters: 0 };
+            created.promise = this._runWithLock(key, () => fn(controller.signal), options.isDone)
+                .finally(() => this._forget(created));
+            flight = created;
+            this.inFlight.set(key, flight);
+        }
+        return this._wait(flight, options.signal);
+    }
+
+    // Solo se la chiave punta ancora a questo job: un job annullato può finire dopo che ne è partito un altro
+    _forget(flight) {
+        if (this.inFlight.get(flight.key) === flight) this.inFlight.delete(flight.key);
+    }
+
+    // Un chiamante che annulla smette di attendere; il job condiviso si ferma solo se non resta nessuno.
+    // Un job annullato esce subito dalla mappa: chi arriva dopo ne avvia uno nuovo invece di unirsi a quello fermato
+    _wait(flight, signal) {
+        flight.waiters++;
+        if (!signal) return flight.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                flight.waiters--;
+                if (flight.waiters === 0) {
+                    this._forget(flight);
+                    flight.controller.abort();
+                }
+                reject({ success: false, aborted: true, message: 'Operazione annullata.' });
+            };
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+            flight.promise
+                .finally(() => signal.removeEventListener('abort', onAbort))
+                .then(resolve, reject);
+        });
+    }
+
+    async _runWithLock(key, fn, isDone) {
+        const lockKey = `${this.prefix}${key}`;
+        const deadline = Date.now() + this.waitTimeoutMs;
+        let announcedWait = false;
+
+        while (true) {
+            const token = crypto.randomBytes(16).toString('hex');
+            let acquired;
+            try {
+                acquired = await this.redis.set(lockKey, token, 'PX', this.lockTtlMs, 'NX');
+            } catch (error) {
+                // Senza Redis ci si limita alla deduplicazione nel singolo processo
+                console.warn(`⚠️ Lock Redis non disponibile per "${key}", procedo solo con il lock locale:`, error.message);
+                return fn();
+            }
+
+            if (acquired) {
+                return this._runHoldingLock(lockKey, token, fn);
+            }
+
+            if (!announcedWait) {
+                console.log(`⏳ Job "${key}" in corso in un altro processo, attendo...`);
+                announcedWait = true;
+            }
+            await sleep(this.pollIntervalMs);
+
+            if (isDone) {
+                const result = await isDone();
+                if (result) return result;
+            }
+            if (Date.now() > deadline) {
+                throw { success: false, message: `Timeout in attesa del job "${key}" in corso in un altro processo.` };
+            }
+        }
+    }
+
+    async _runHoldingLock(lockKey, token, fn) {
+        const heartbeat = setInterval(() => {
+            this.redis.eval(EXTEND_SCRIPT, 1, lockKey, token, this.lockTtlMs)
+                .catch(err => console.warn(`⚠️ Impossibile rinnovare il lock ${lockKey}:`, err.message));
+        }, Math.floor(this.lockTtlMs / 3));
+        heartbeat.unref();
+
+        try {
+            return await fn();
+        } finally {
+            clearInterval(heartbeat);
+            await this.redis.eval(RELEASE_SCRIPT, 1, lockKey, token)
+                .catch(err => console.warn(`⚠️ Impossibile rilasciare il lock ${lockKey}:`, err.message));
+        }
+    }
+}
@@ -1,11 +1,52 @@
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 import Redis from 'ioredis';
+import { paginate } from './paging.js';
+import RequestBudget from './requestBudget.js';
 
 dotenv.config();
 
 const SPOTIFY_API_BASE_URL = 'https://api.spotify.com/v1';
 const SPOTIFY_ACCOUNTS_BASE_URL = 'https://accounts.spotify.com/api';
+// Mercato (codice paese ISO 3166-1 alpha-2) delle chiamate senza utente loggato
+const MARKET_REGEX = /^[A-Za-z]{2}$/;
+export const isValidMarket = (market) => typeof market === 'string' && MARKET_REGEX.test(market);
+const DEFAULT_MARKET = isValidMarket(process.env.SPOTIFY_DEFAULT_MARKET) ? process.env.SPOTIFY_DEFAULT_MARKET.toUpperCase() : 'IT';
+// Elementi salvati: cache breve, le modifiche fatte da altre app Spotify non ci vengono notificate
+const SAVED_ITEMS_CACHE_TTL = 300;
+// Massimo di ID per richiesta sugli endpoint /me/tracks e /me/albums
+const LIBRARY_BATCH_SIZES = { tracks: 50, albums: 20 };
+// Massimo di elementi per pagina degli endpoint a lista (limit più alto accettato da Spotify)
+export const PAGE_SIZES = { playlists: 50, savedTracks: 50, savedAlbums: 50, playlistTracks: 100, albumTracks: 50 };
+
+// Tentativi per richiesta su 429, 5xx transitori ed errori di rete
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 500;
+// Retry-After più lunghi non si attendono: si ripiega sulla cache scaduta
+const MAX_RETRY_AFTER_MS = 30000;
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+// Solo queste si ripetono dopo un 5xx o un errore di rete (un POST potrebbe essere già andato a buon fine)
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'DELETE']);
+// Copia di ogni voce di cache che sopravvive alla scadenza, servita quando Spotify non risponde
+const STALE_CACHE_TTL = 7 * 24 * 3600;
+const staleKey = (cacheKey) => `${cacheKey}:stale`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Backoff esponenziale con jitter: tra metà e tutto il ritardo del tentativo
+function backoffDelay(attempt) {
+    const delay = BACKOFF_BASE_MS * 2 ** (attempt - 1);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+// Retry-After in secondi o come data HTTP; 1 s se assente
+function parseRetryAfter(value) {
+    if (!value) return 1000;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 1000 : Math.max(0, date - Date.now());
+}
 
 export default class SpotifyAPI {
     constructor() {
@@ -27,6 +68,9 @@ export default class SpotifyAPI {
 
         this.clientCredentialsToken = null;
         this.clientCredentialsTokenExpiresAt = null;
+
+        // Ritmo e pause dopo i 429 condivisi da tutte le richieste con lo stesso token
+        this.requestBudget = new RequestBudget();
     }
 
     // NON USIAMO PIU' QUESTO. I token sono nella sessione.
@@ -104,6 +148,8 @@ export default class SpotifyAPI {
             expiresAt: Date.now() + (tokenData.expires_in * 1000),
             scope: tokenData.scope
         };
+        // Un nuovo login può essere di un altro account: il paese va riletto da /me
+        delete session.market;
         // Salva la sessione manualmente dopo averla modificata
         session.save();
         console.log(`Token utente salvati nella sessione per sessionID: ${session.id.substring(0,6)}...`);
@@ -176,7 +222,17 @@ export default class SpotifyAPI {
         return tokens;
     }
 
-    async _makeApiRequest(session, endpoint, method = 'GET', body = null) {
+    /**
+     * @param {object|null} session - Sessione utente (null: token client)
+     * @param {string} endpoint - Percorso relativo a SPOTIFY_API_BASE_URL
+     * @param {string} [method]
+     * @param {object|string|null} [body] - Serializzato in JSON, salvo contentType
+     * @param {string} [contentType] - Se presente il body viene inviato così com'è (es. immagini in base64)
+     *
+     * Riprova i 429 rispettando Retry-After e, per GET/PUT/DELETE, i 5xx transitori e gli errori di rete.
+     * Se i tentativi finiscono l'errore ha transient: true (vedi _getWithCache).
+     */
+    async _makeApiRequest(session, endpoint, method = 'GET', body = null, contentType = null) {
         let accessToken;
         if (session && session.tokens) {
             const userTokens = await this.getUserTokens(session);
@@ -194,30 +250,101 @@ export default class SpotifyAPI {
         
         const headers = {
             'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
+            'Content-Type': contentType || 'application/json'
         };
         const config = { method, headers };
         if (body) {
-            config.body = JSON.stringify(body);
+            config.body = contentType ? body : JSON.stringify(body);
         }
 
-        try {
-            const response = await fetch(`${SPOTIFY_API_BASE_URL}${endpoint}`, config);
+        const retryable = IDEMPOTENT_METHODS.has(method);
+        for (let attempt = 1; ; attempt++) {
+            await this.requestBudget.acquire(accessToken);
+
+            let response;
+            try {
+                response = await fetch(`${SPOTIFY_API_BASE_URL}${endpoint}`, config);
+            } catch (networkError) {
+                if (retryable && attempt < MAX_ATTEMPTS) {
+                    console.warn(`⚠️ Errore di rete verso Spotify (${method} ${endpoint}), tentativo ${attempt}/${MAX_ATTEMPTS}:`, networkError.message);
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+                const err = new Error(`Spotify non raggiungibile: ${networkError.message}`);
+                err.transient = true;
+                throw err;
+            }
+
+            if (response.status === 429) {
+                // La pausa vale per tutte le richieste con questo token: acquire() la attende
+                const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                this.requestBudget.pause(accessToken, retryAfterMs);
+                if (attempt < MAX_ATTEMPTS && retryAfterMs <= MAX_RETRY_AFTER_MS) {
+                    console.warn(`⏳ Spotify 429 su ${method} ${endpoint}: nuovo tentativo tra ${Math.ceil(retryAfterMs / 1000)} s.`);
+                    continue;
+                }
+            } else if (RETRYABLE_STATUSES.has(response.status) && retryable && attempt < MAX_ATTEMPTS) {
+                console.warn(`⚠️ Spotify ${response.status} su ${method} ${endpoint}, tentativo ${attempt}/${MAX_ATTEMPTS}.`);
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+
             if (!response.ok) {
                 const errorBody = await response.json().catch(() => ({ message: response.statusText }));
                 const err = new Error(errorBody.error?.message || errorBody.message || `Errore API ${response.status}`);
                 err.status = errorBody.error?.status || response.status;
+                err.transient = response.status === 429 || response.status >= 500;
                 throw err;
             }
             if (response.status === 204 || response.headers.get('content-length') === '0') {
                 return null;
             }
-            return await response.json();
-        } catch (error) {
-            throw error;
+            // Alcune modifiche (es. PUT /playlists/{id}) rispondono 200/202 senza corpo
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
         }
     }
 
+    /**
+     * Mercato per le chiamate di una richiesta: il paese dell'utente loggato (da /me, salvato
+     * in sessione), altrimenti quello richiesto o il default del server (SPOTIFY_DEFAULT_MARKET).
+     * @param {object|null} session
+     * @param {string} [requested] - Codice paese dalla richiesta
+     * @returns {Promise<string>}
+     */
+    async resolveMarket(session, requested) {
+        if (session?.tokens) {
+            if (!session.market) {
+                try {
+                    const user = await this.getUserProfile(session);
+                    if (isValidMarket(user?.country)) {
+                        session.market = user.country.toUpperCase();
+                    }
+                } catch (error) {
+                    console.warn('⚠️ Impossibile leggere il paese dell\'utente, uso il mercato della richiesta:', error.message);
+                }
+            }
+            if (session.market) return session.market;
+        }
+        return isValidMarket(requested) ? requested.toUpperCase() : DEFAULT_MARKET;
+    }
+
+    // Middleware che imposta req.market (vedi resolveMarket); ?market= o market nel body deve essere valido
+    marketMiddleware() {
+        return async (req, res, next) => {
+            const requested = req.query.market ?? req.body?.market;
+            if (requested !== undefined && !isValidMarket(requested)) {
+                return res.status(400).json({ error: 'market non valido: usa un codice paese ISO 3166-1 alpha-2 (es. IT).' });
+            }
+            try {
+                req.market = await this.resolveMarket(req.session, requested);
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
     async getUserProfile(session) {
         const userTokens = await this.getUserTokens(session);
         if (!userTokens) {
@@ -228,26 +355,32 @@ export default class SpotifyAPI {
         return this._makeApiRequest(session, '/me');
     }
 
-    async getUserPlaylists(session, options = { limit: 20, offset: 0 }) {
+    // Una pagina (page: {limit, offset}) o tutte (page: {all: true}) nella busta di paging.js
+    async getUserPlaylists(session, page = { limit: 20, offset: 0 }) {
         const userTokens = await this.getUserTokens(session);
         if (!userTokens) {
             const error = new Error('Utente non autenticato o token mancante/scaduto.');
             error.status = 401;
             throw error;
         }
-        const params = new URLSearchParams(options).toString();
-        const data = await this._makeApiRequest(session, `/me/playlists?${params}`);
-        return data.items.map(p => ({
-            id: p.id,
-            name: p.name,
-            description: p.description,
-            imageUrl: p.images[0]?.url,
-            owner: p.owner.display_name,
-            tracksCount: p.tracks.total,
-            public: p.public,
-            collaborative: p.collaborative,
-            external_url: p.external_urls.spotify
-        }));
+        return paginate(async (limit, offset) => {
+            const params = new URLSearchParams({ limit, offset }).toString();
+            const data = await this._makeApiRequest(session, `/me/playlists?${params}`);
+            return {
+                items: data.items.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    description: p.description,
+                    imageUrl: p.images?.[0]?.url,
+                    owner: p.owner.display_name,
+                    tracksCount: p.tracks.total,
+                    public: p.public,
+                    collaborative: p.collaborative,
+                    external_url: p.external_urls.spotify
+                })),
+                total: data.total
+            };
+        }, page, { pageSize: PAGE_SIZES.playlists });
     }
 
     async getFeaturedPlaylists(session, options = { limit: 20, offset: 0 }) {
@@ -268,9 +401,9 @@ export default class SpotifyAPI {
         return this._getWithCache(cacheKey, fetcher, 3600); // Cache per 1 ora
     }
 
-    async searchTrack(query, limit = 10) {
+    async searchTrack(query, limit = 10, market = DEFAULT_MARKET) {
         try {
-            const data = await this._makeApiRequest(null, `/search?q=${encodeURIComponent(query)}&type=track&market=IT&limit=${limit}`);
+            const data = await this._makeApiRequest(null, `/search?q=${encodeURIComponent(query)}&type=track&market=${market}&limit=${limit}`);
             
             if (!data.tracks || data.tracks.items.length === 0) {
                 return { success: false, message: "Nessun risultato trovato" };
@@ -337,9 +470,26 @@ export default class SpotifyAPI {
         }
     }
 
-    async searchAlbum(query, limit = 10) {
+    /**
+     * Ricerca tracce senza raggruppamento, con ISRC: usata per abbinare file locali a Spotify.
+     * Accetta i filtri di ricerca Spotify (es. "isrc:USUM71703861", "track:... artist:...").
+     * Gli errori vengono propagati al chiamante.
+     */
+    async searchTracksForMatching(query, limit = 10, market = DEFAULT_MARKET) {
+        const data = await this._makeApiRequest(null, `/search?q=${encodeURIComponent(query)}&type=track&market=${market}&limit=${limit}`);
+        return (data.tracks?.items || []).filter(Boolean).map(track => ({
+            spotify_id: track.id,
+            name: track.name,
+            artist: track.artists.map(artist => artist.name).join(', '),
+            album: track.album.name,
+            duration: track.duration_ms,
+            isrc: track.external_ids?.isrc || null
+        }));
+    }
+
+    async searchAlbum(query, limit = 10, market = DEFAULT_MARKET) {
         try {
-            const data = await this._makeApiRequest(null, `/search?q=${encodeURIComponent(query)}&type=album&market=IT&limit=${limit}`);
+            const data = await this._makeApiRequest(null, `/search?q=${encodeURIComponent(query)}&type=album&market=${market}&limit=${limit}`);
             return data.albums.items.map(album => ({
                 id: album.id,
                 name: album.name,
@@ -355,14 +505,14 @@ export default class SpotifyAPI {
     }
 
     // Nuovo metodo per ricerca multi-tipo con ordinamento per pertinenza
-    async searchMultiType(query, limit = 10) {
+    async searchMultiType(query, limit = 10, market = DEFAULT_MARKET) {
         try {
             const searchLimit = Math.min(limit, 50); // Spotify limita a 50 per tipo
             
             // Ricerca tutti i tipi in una sola chiamata
             const data = await this._makeApiRequest(
                 null, 
-                `/search?q=${encodeURIComponent(query)}&type=track,artist,album,playlist&market=IT&limit=${searchLimit}`
+                `/search?q=${encodeURIComponent(query)}&type=track,artist,album,playlist&market=${market}&limit=${searchLimit}`
             );
             
             const queryLower = query.toLowerCase().trim();
@@ -601,82 +751,133 @@ export default class SpotifyAPI {
         return this._getWithCache(cacheKey, fetcher, 6 * 3600); // Cache per 6 ore
     }
 
-    async getUserSavedTracks(session, options = { limit: 20, offset: 0 }) {
+    async getUserSavedTracks(session, page = { limit: 20, offset: 0 }) {
         if (!session || !session.id) throw new Error('Sessione richiesta per getUserSavedTracks');
-        // NOTA: Le tracce salvate cambiano spesso, la cache qui dovrebbe essere molto breve o invalidata aggressivamente.
-        // Per ora, non la implementiamo per evitare dati stantii.
         const userTokens = await this.getUserTokens(session);
         if (!userTokens || !userTokens.accessToken) {
             throw { status: 401, message: 'Utente non autenticato o token mancante/scaduto per getUserSavedTracks.', response: { data: { error: { status: 401, message: 'Token non valido'}} }};
         }
-        const params = new URLSearchParams(options).toString();
-        const data = await this._makeApiRequest(session, `/me/tracks?${params}`);
-        return {
-            items: data.items.map(item => ({
-                added_at: item.added_at,
-                track: {
-                    id: item.track.id,
-                    name: item.track.name,
-                    artists: item.track.artists,
-                    album: item.track.album,
-                    duration_ms: item.track.duration_ms,
-                    preview_url: item.track.preview_url,
-                    external_url: item.track.external_urls.spotify
-                }
-            })),
-            total: data.total,
-            limit: data.limit,
-            offset: data.offset
-        };
+        // Le tracce salvate cambiano spesso: cache breve, invalidata da saveToLibrary/removeFromLibrary
+        const user = await this.getUserProfile(session);
+
+        return paginate((limit, offset) => this._getWithCache(`cache:user:${user.id}:saved-tracks:limit=${limit}:offset=${offset}`, async () => {
+            const params = new URLSearchParams({ limit, offset }).toString();
+            const data = await this._makeApiRequest(session, `/me/tracks?${params}`);
+            return {
+                items: data.items.map(item => ({
+                    added_at: item.added_at,
+                    track: {
+                        id: item.track.id,
+                        name: item.track.name,
+                        artists: item.track.artists,
+                        album: item.track.album,
+                        duration_ms: item.track.duration_ms,
+                        preview_url: item.track.preview_url,
+                        external_url: item.track.external_urls.spotify
+                    }
+                })),
+                total: data.total
+            };
+        }, SAVED_ITEMS_CACHE_TTL), page, { pageSize: PAGE_SIZES.savedTracks });
     }
 
-    async getUserSavedAlbums(session, options = { limit: 20, offset: 0 }) {
+    async getUserSavedAlbums(session, page = { limit: 20, offset: 0 }) {
         if (!session) return null;
 
-        // Converti i valori in numeri
-        const limit = Number(options.limit) || 20;
-        const offset = Number(options.offset) || 0;
-
-        const fetcher = async () => {
-            const params = new URLSearchParams({
-                limit: limit.toString(),
-                offset: offset.toString()
-            }).toString();
-            
-            const data = await this._makeApiRequest(session, `/me/albums?${params}`);
-            if (!data || !data.items) return { albums: [] };
-
-            const albums = data.items.map(item => {
-                const album = item.album;
+        try {
+            // Stessa cache della sezione "Album Salvati" della home, invalidata dalle modifiche alla libreria
+            const user = await this.getUserProfile(session);
+            const data = await paginate((limit, offset) => this._getWithCache(`cache:user:${user.id}:saved-albums:limit=${limit}:offset=${offset}`, async () => {
+                const params = new URLSearchParams({ limit, offset }).toString();
+                const data = await this._makeApiRequest(session, `/me/albums?${params}`);
                 return {
-                    spotify_id: album.id,
-                    name: album.name,
-                    artist: album.artists.map(a => a.name).join(', '),
-                    image: album.images.length > 0 ? album.images[0].url : undefined,
-                    release_date: album.release_date,
-                    total_tracks: album.total_tracks,
+                    items: data.items.map(({ album }) => ({
+                        spotify_id: album.id,
+                        name: album.name,
+                        artist: album.artists.map(a => a.name).join(', '),
+                        image: album.images.length > 0 ? album.images[0].url : undefined,
+                        release_date: album.release_date,
+                        total_tracks: album.total_tracks,
+                    })),
+                    total: data.total
                 };
-            });
-            return { albums };
-        };
-
-        try {
-            const data = await fetcher();
+            }, SAVED_ITEMS_CACHE_TTL), page, { pageSize: PAGE_SIZES.savedAlbums });
             return { success: true, ...data };
         } catch (error) {
             console.error('Errore nel recuperare gli album salvati:', error.message);
-            return { albums: [] };
+            return {
+                success: false,
+                message: error.message || 'Errore durante il recupero degli album salvati',
+                error: { message: error.message, status: error.status }
+            };
+        }
+    }
+
+    // === LIBRERIA DELL'UTENTE (scope user-library-modify) ===
+
+    /**
+     * Salva tracce o album nella libreria dell'utente.
+     * @param {object} session
+     * @param {'tracks'|'albums'} type
+     * @param {string[]} ids - ID Spotify
+     */
+    async saveToLibrary(session, type, ids) {
+        await this._modifyLibrary(session, type, ids, 'PUT');
+    }
+
+    async removeFromLibrary(session, type, ids) {
+        await this._modifyLibrary(session, type, ids, 'DELETE');
+    }
+
+    async _modifyLibrary(session, type, ids, method) {
+        await this._requireUserTokens(session);
+        const batchSize = LIBRARY_BATCH_SIZES[type];
+        try {
+            for (let i = 0; i < ids.length; i += batchSize) {
+                await this._makeApiRequest(session, `/me/${type}`, method, { ids: ids.slice(i, i + batchSize) });
+            }
+        } finally {
+            await this._invalidateSavedItemsCache(session, type);
+        }
+    }
+
+    /**
+     * Verifica quali elementi sono nella libreria dell'utente.
+     * @returns {Promise<Object<string, boolean>>} ID → salvato
+     */
+    async checkSavedInLibrary(session, type, ids) {
+        await this._requireUserTokens(session);
+        const batchSize = LIBRARY_BATCH_SIZES[type];
+        const saved = {};
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const batch = ids.slice(i, i + batchSize);
+            const flags = await this._makeApiRequest(session, `/me/${type}/contains?ids=${batch.join(',')}`);
+            batch.forEach((id, index) => { saved[id] = flags[index] === true; });
+        }
+        return saved;
+    }
+
+    // Tutte le pagine in cache degli elementi salvati di quel tipo (album: anche la home)
+    async _invalidateSavedItemsCache(session, type) {
+        try {
+            const user = await this.getUserProfile(session);
+            const keys = await this._scanCacheKeys(`cache:user:${user.id}:saved-${type}:*`);
+            if (keys.length > 0) {
+                await this.redis.del(...keys);
+            }
+        } catch (error) {
+            console.error(`Errore nell'invalidazione della cache dei ${type} salvati:`, error.message);
         }
     }
 
     // Nuovo metodo per ottenere dettagli artista
-    async getArtistDetails(artistId) {
-        const cacheKey = `cache:artist-details:${artistId}`;
+    async getArtistDetails(artistId, market = DEFAULT_MARKET) {
+        const cacheKey = `cache:artist-details:${artistId}:market=${market}`;
         const fetcher = async () => {
             const [artistData, topTracksData, albumsData] = await Promise.all([
                 this._makeApiRequest(null, `/artists/${artistId}`),
-                this._makeApiRequest(null, `/artists/${artistId}/top-tracks?market=IT`),
-                this._makeApiRequest(null, `/artists/${artistId}/albums?market=IT&limit=20&include_groups=album,single`)
+                this._makeApiRequest(null, `/artists/${artistId}/top-tracks?market=${market}`),
+                this._makeApiRequest(null, `/artists/${artistId}/albums?market=${market}&limit=20&include_groups=album,single`)
             ]);
 
             return {
@@ -729,12 +930,16 @@ export default class SpotifyAPI {
     }
 
     // Nuovo metodo per ottenere dettagli album
-    async getAlbumDetails(albumId) {
-        const cacheKey = `cache:album-details:${albumId}`;
+    async getAlbumDetails(albumId, market = DEFAULT_MARKET) {
+        const cacheKey = `cache:album-details:${albumId}:market=${market}`;
         const fetcher = async () => {
+            // Tutte le pagine di tracce: gli album con più di 50 tracce tornano completi
             const [albumData, tracksData] = await Promise.all([
                 this._makeApiRequest(null, `/albums/${albumId}`),
-                this._makeApiRequest(null, `/albums/${albumId}/tracks?market=IT&limit=50`)
+                paginate(async (limit, offset) => {
+                    const data = await this._makeApiRequest(null, `/albums/${albumId}/tracks?market=${market}&limit=${limit}&offset=${offset}`);
+                    return { items: data.items, total: data.total };
+                }, { all: true }, { pageSize: PAGE_SIZES.albumTracks })
             ]);
 
             return {
@@ -755,6 +960,7 @@ export default class SpotifyAPI {
                 tracks: tracksData.items.map((track, index) => ({
                     type: 'track',
                     track_number: track.track_number || index + 1,
+                    disc_number: track.disc_number || 1,
                     name: track.name,
                     artist: track.artists.map(artist => artist.name).join(', '),
                     duration: track.duration_ms,
@@ -781,16 +987,44 @@ export default class SpotifyAPI {
         }
     }
 
-    // Nuovo metodo per ottenere tracce di una playlist
-    async getPlaylistTracks(playlistId, limit = 50, offset = 0) {
-        const cacheKey = `cache:playlist-tracks:${playlistId}:limit=${limit}:offset=${offset}`;
-
+    // Nome, proprietario e copertina di una playlist (senza tracce)
+    async getPlaylistDetails(playlistId) {
+        const cacheKey = `cache:playlist-details:${playlistId}`;
         const fetcher = async () => {
-             const params = new URLSearchParams({
-                market: 'IT',
+            const params = new URLSearchParams({ fields: 'id,name,owner(display_name),images' }).toString();
+            const data = await this._makeApiRequest(null, `/playlists/${playlistId}?${params}`);
+            return {
+                playlist: {
+                    id: data.id,
+                    name: data.name,
+                    owner: data.owner?.display_name || null,
+                    image: data.images?.[0]?.url || null
+                }
+            };
+        };
+
+        try {
+            const data = await this._getWithCache(cacheKey, fetcher, 3600); // Cache per 1 ora
+            return { success: true, ...data };
+        } catch (error) {
+            console.error('Errore nel recupero dettagli playlist:', error.message);
+            return {
+                success: false,
+                message: error.message || 'Errore durante il recupero dei dettagli della playlist',
+                error: { message: error.message, status: error.status }
+            };
+        }
+    }
+
+    // Tracce di una playlist: una pagina (page: {limit, offset}) o tutte (page: {all: true}).
+    // Ogni pagina ha la sua voce di cache, anche in modalità all.
+    async getPlaylistTracks(playlistId, page = { limit: 50, offset: 0 }, market = DEFAULT_MARKET) {
+        const fetchPage = (limit, offset) => this._getWithCache(`cache:playlist-tracks:${playlistId}:market=${market}:limit=${limit}:offset=${offset}`, async () => {
+            const params = new URLSearchParams({
+                market,
                 limit: limit.toString(),
                 offset: offset.toString(),
-                fields: 'items(track(id,name,artists,album(name,images),duration_ms,preview_url,explicit)),total,limit,offset,next,previous'
+                fields: 'items(track(id,name,artists,album(name,images),duration_ms,preview_url,explicit)),total'
             }).toString();
 
             const data = await this._makeApiRequest(null, `/playlists/${playlistId}/tracks?${params}`);
@@ -809,16 +1043,12 @@ export default class SpotifyAPI {
                         explicit: item.track.explicit || false
                     } : null
                 })).filter(item => item.track !== null), // Rimuovi tracce nulle (locali o non disponibili)
-                total: data.total,
-                limit: data.limit,
-                offset: data.offset,
-                next: data.next,
-                previous: data.previous
+                total: data.total
             };
-        };
-        
+        }, 3600); // Cache per 1 ora
+
         try {
-            const data = await this._getWithCache(cacheKey, fetcher, 3600); // Cache per 1 ora
+            const data = await paginate(fetchPage, page, { pageSize: PAGE_SIZES.playlistTracks });
             return { success: true, ...data };
         } catch (error) {
             console.error('Errore nel recupero tracce playlist:', error.message);
@@ -830,12 +1060,180 @@ export default class SpotifyAPI {
         }
     }
 
+    // === GESTIONE PLAYLIST (scope playlist-modify-public/private, ugc-image-upload per la copertina) ===
+
+    async _requireUserTokens(session) {
+        const userTokens = await this.getUserTokens(session);
+        if (!userTokens || !userTokens.accessToken) {
+            const error = new Error('Utente non autenticato o token mancante/scaduto.');
+            error.status = 401;
+            throw error;
+        }
+    }
+
+    // Chiavi di cache che corrispondono al pattern (SCAN, senza bloccare Redis come KEYS)
+    async _scanCacheKeys(pattern) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [nextCursor, found] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+            keys.push(...found);
+            cursor = nextCursor;
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    // Rimuove dalla cache tutte le pagine di tracce e i dettagli della playlist
+    async _invalidatePlaylistCache(playlistId) {
+        try {
+            const keys = await this._scanCacheKeys(`cache:playlist-tracks:${playlistId}:*`);
+            const detailsKey = `cache:playlist-details:${playlistId}`;
+            await this.redis.del(detailsKey, staleKey(detailsKey), ...keys);
+        } catch (error) {
+            console.error(`Errore nell'invalidazione della cache della playlist ${playlistId}:`, error.message);
+        }
+    }
+
+    async createPlaylist(session, { name, description = '', isPublic = false, collaborative = false }) {
+        await this._requireUserTokens(session);
+        const user = await this.getUserProfile(session);
+        const data = await this._makeApiRequest(session, `/users/${encodeURIComponent(user.id)}/playlists`, 'POST', {
+            name,
+            description,
+            public: isPublic,
+            collaborative
+        });
+        return {
+            id: data.id,
+            name: data.name,
+            description: data.description,
+            public: data.public,
+            collaborative: data.collaborative,
+            snapshot_id: data.snapshot_id,
+            external_url: data.external_urls?.spotify || null
+        };
+    }
+
+    // Aggiorna solo i campi presenti (name, description, isPublic)
+    async updatePlaylistDetails(session, playlistId, { name, description, isPublic }) {
+        await this._requireUserTokens(session);
+        const body = {};
+        if (name !== undefined) body.name = name;
+        if (description !== undefined) body.description = description;
+        if (isPublic !== undefined) body.public = isPublic;
+        await this._makeApiRequest(session, `/playlists/${playlistId}`, 'PUT', body);
+        await this._invalidatePlaylistCache(playlistId);
+    }
+
+    // Aggiunge le tracce in blocchi da 100 (limite dell'endpoint); senza position in coda
+    async addTracksToPlaylist(session, playlistId, trackIds, position) {
+        await this._requireUserTokens(session);
+        let snapshotId = null;
+        try {
+            for (let i = 0; i < trackIds.length; i += 100) {
+                const body = { uris: trackIds.slice(i, i + 100).map(id => `spotify:track:${id}`) };
+                if (position !== undefined) body.position = position + i;
+                ({ snapshot_id: snapshotId } = await this._makeApiRequest(session, `/playlists/${playlistId}/tracks`, 'POST', body));
+            }
+        } finally {
+            // Anche un errore a metà può aver già modificato la playlist
+            await this._invalidatePlaylistCache(playlistId);
+        }
+        return { snapshot_id: snapshotId };
+    }
+
+    // Rimuove tutte le occorrenze delle tracce, in blocchi da 100
+    async removeTracksFromPlaylist(session, playlistId, trackIds, snapshotId) {
+        await this._requireUserTokens(session);
+        let currentSnapshot = snapshotId || null;
+        try {
+            for (let i = 0; i < trackIds.length; i += 100) {
+                const body = { tracks: trackIds.slice(i, i + 100).map(id => ({ uri: `spotify:track:${id}` })) };
+                if (currentSnapshot) body.snapshot_id = currentSnapshot;
+                ({ snapshot_id: currentSnapshot } = await this._makeApiRequest(session, `/playlists/${playlistId}/tracks`, 'DELETE', body));
+            }
+        } finally {
+            await this._invalidatePlaylistCache(playlistId);
+        }
+        return { snapshot_id: currentSnapshot };
+    }
+
+    // Sposta rangeLength tracce da rangeStart prima della posizione insertBefore
+    async reorderPlaylistTracks(session, playlistId, { rangeStart, insertBefore, rangeLength = 1, snapshotId }) {
+        await this._requireUserTokens(session);
+        const body = { range_start: rangeStart, insert_before: insertBefore, range_length: rangeLength };
+        if (snapshotId) body.snapshot_id = snapshotId;
+        try {
+            const data = await this._makeApiRequest(session, `/playlists/${playlistId}/tracks`, 'PUT', body);
+            return { snapshot_id: data?.snapshot_id || null };
+        } finally {
+            await this._invalidatePlaylistCache(playlistId);
+        }
+    }
+
+    // Sostituisce la copertina con un JPEG (Spotify accetta al massimo 256 KB in base64)
+    async uploadPlaylistCover(session, playlistId, jpegBuffer) {
+        await this._requireUserTokens(session);
+        await this._makeApiRequest(session, `/playlists/${playlistId}/images`, 'PUT', jpegBuffer.toString('base64'), 'image/jpeg');
+        await this._invalidatePlaylistCache(playlistId);
+    }
+
+    // Recupera i metadati di più tracce in blocchi da 50 (limite dell'endpoint /tracks)
+    async getTracks(trackIds, market = DEFAULT_MARKET) {
+        const tracks = [];
+        for (let i = 0; i < trackIds.length; i += 50) {
+            const ids = trackIds.slice(i, i + 50).join(',');
+            const data = await this._makeApiRequest(null, `/tracks?ids=${ids}&market=${market}`);
+            data.tracks.forEach(track => {
+                if (!track) return; // ID inesistente
+                tracks.push(this._formatTrack(track));
+            });
+        }
+        return tracks;
+    }
+
+    // Metadati di una singola traccia (stesso formato di getTracks), in cache per 24 ore.
+    // Ritorna null se l'ID non corrisponde a nessuna traccia; gli altri errori vengono propagati.
+    async getTrack(trackId, market = DEFAULT_MARKET) {
+        const cacheKey = `cache:track:${trackId}:market=${market}`;
+        const fetcher = async () => {
+            try {
+                const track = await this._makeApiRequest(null, `/tracks/${trackId}?market=${market}`);
+                return this._formatTrack(track);
+            } catch (error) {
+                if (error.status === 404 || error.status === 400) return null;
+                throw error;
+            }
+        };
+        return this._getWithCache(cacheKey, fetcher, 24 * 3600);
+    }
+
+    _formatTrack(track) {
+        return {
+            spotify_id: track.id,
+            name: track.name,
+            artist: track.artists.map(artist => artist.name).join(', '),
+            album: track.album.name,
+            image: track.album.images[0]?.url || null,
+            duration: track.duration_ms,
+            // Dati usati per i tag dei file scaricati
+            artists: track.artists.map(artist => artist.name),
+            album_artist: track.album.artists?.map(artist => artist.name).join(', ') || null,
+            track_number: track.track_number || null,
+            disc_number: track.disc_number || null,
+            total_tracks: track.album.total_tracks || null,
+            release_date: track.album.release_date || null,
+            isrc: track.external_ids?.isrc || null
+        };
+    }
+
     // Nuovo metodo per ottenere raccomandazioni
     async getRecommendations(options = {}) {
         // Le raccomandazioni sono dinamiche, quindi è meglio non cacharle
         try {
+            // options.market (da resolveMarket) sovrascrive il default
             const params = new URLSearchParams({
-                market: 'IT',
+                market: DEFAULT_MARKET,
                 limit: (options.limit || 20).toString(),
                 ...options
             }).toString();
@@ -866,12 +1264,12 @@ export default class SpotifyAPI {
         }
     }
 
-    async unifiedSearch(query, types = ['track', 'album', 'artist', 'playlist'], limit = 10) {
+    async unifiedSearch(query, types = ['track', 'album', 'artist', 'playlist'], limit = 10, market = DEFAULT_MARKET) {
         try {
             const typeParam = types.join(',');
             const data = await this._makeApiRequest(
                 null, 
-                `/search?q=${encodeURIComponent(query)}&type=${typeParam}&market=IT&limit=${limit}`
+                `/search?q=${encodeURIComponent(query)}&type=${typeParam}&market=${market}&limit=${limit}`
             );
 
             const results = {};
@@ -983,24 +1381,34 @@ export default class SpotifyAPI {
             if (cachedData) {
                 return JSON.parse(cachedData);
             }
+        } catch (error) {
+            console.error(`Errore nella cache per chiave ${cacheKey}:`, error.message);
+        }
 
-            // Se non in cache, esegui la fetcher function
-            const freshData = await fetcher();
-            
-            // Salva in cache con TTL
-            await this.redis.set(
-                cacheKey, 
-                JSON.stringify(freshData),
-                'EX', 
-                ttlSeconds
-            );
+        // Se non in cache, esegui la fetcher function
+        let freshData;
+        try {
+            freshData = await fetcher();
+        } catch (error) {
+            // Spotify non disponibile (429, 5xx, rete): meglio la copia scaduta che un errore
+            if (!error?.transient) throw error;
+            const staleData = await this.redis.get(staleKey(cacheKey)).catch(() => null);
+            if (!staleData) throw error;
+            console.warn(`⚠️ Spotify non disponibile (${error.message}): uso la copia scaduta di ${cacheKey}`);
+            return JSON.parse(staleData);
+        }
 
-            return freshData;
+        // Salva in cache con TTL, più la copia di riserva a lunga scadenza
+        try {
+            const serialized = JSON.stringify(freshData);
+            await this.redis.multi()
+                .set(cacheKey, serialized, 'EX', ttlSeconds)
+                .set(staleKey(cacheKey), serialized, 'EX', STALE_CACHE_TTL)
+                .exec();
         } catch (error) {
-            console.error(`Errore nella cache per chiave ${cacheKey}:`, error);
-            // Fallback: esegui la fetcher senza cache
-            return fetcher();
+            console.error(`Errore nella cache per chiave ${cacheKey}:`, error.message);
         }
+        return freshData;
     }
 
     async getUserTopTracks(session, options = { limit: 10, time_range: 'medium_term' }) {
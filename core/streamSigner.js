@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 6 * 3600 * 1000;
+// Sessioni chiuse (logout): i loro URL firmati non valgono più fino alla scadenza naturale
+const revokedKey = (sessionTag) => `stream-token:revoked:${sessionTag}`;
+const SIGNATURE_PARAMS = ['exp', 'sid', 'sig'];
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+/**
+ * URL di stream firmati (HMAC) e a scadenza, legati alla sessione che li ha richiesti.
+ * La firma viaggia nella query (?exp=&sid=&sig=), quindi funziona anche in un <audio>
+ * senza cookie. Vale per tutti i percorsi /stream/:spotify_id/... della stessa traccia.
+ */
+export default class StreamSigner {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis (sessioni revocate)
+     * @param {{secret?: string, ttlMs?: number}} [options] - Senza secret se ne genera uno per processo
+     */
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.secret = options.secret;
+        if (!this.secret) {
+            console.warn('⚠️ STREAM_SIGNING_SECRET non configurato: gli URL firmati valgono solo per questo processo.');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    // Identificativo della sessione nell'URL: deriva dal sessionID ma non lo rivela
+    _sessionTag(sessionId) {
+        return hmac(this.secret, `session:${sessionId}`).slice(0, 22);
+    }
+
+    _signature(spotifyId, exp, sessionTag) {
+        return hmac(this.secret, `${spotifyId}:${exp}:${sessionTag}`);
+    }
+
+    /**
+     * @param {string} spotifyId
+     * @param {string} sessionId
+     * @returns {{query: {exp: string, sid: string, sig: string}, expiresAt: Date}}
+     */
+    sign(spotifyId, sessionId) {
+        const exp = String(Math.floor((Date.now() + this.ttlMs) / 1000));
+        const sid = this._sessionTag(sessionId);
+        return {
+            query: { exp, sid, sig: this._signature(spotifyId, exp, sid) },
+            expiresAt: new Date(Number(exp) * 1000)
+        };
+    }
+
+    /**
+     * @param {string} spotifyId
+     * @param {object} query - req.query
+     * @returns {Promise<{valid: boolean, reason?: string}>}
+     */
+    async verify(spotifyId, query) {
+        const { exp, sid, sig } = query;
+        if (typeof exp !== 'string' || typeof sid !== 'string' || typeof sig !== 'string') {
+            return { valid: false, reason: 'Firma incompleta.' };
+        }
+
+        const expected = Buffer.from(this._signature(spotifyId, exp, sid));
+        const received = Buffer.from(sig);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return { valid: false, reason: 'Firma non valida.' };
+        }
+        if (!/^\d+$/.test(exp) || Number(exp) * 1000 < Date.now()) {
+            return { valid: false, reason: 'URL scaduto.' };
+        }
+
+        try {
+            if (await this.redis.exists(revokedKey(sid))) {
+                return { valid: false, reason: 'Sessione terminata.' };
+            }
+        } catch (error) {
+            // Senza Redis si controllano solo firma e scadenza
+            console.warn('⚠️ Impossibile verificare la revoca dell\'URL di stream:', error.message);
+        }
+        return { valid: true };
+    }
+
+    // Invalida gli URL emessi per una sessione (logout)
+    async revokeSession(sessionId) {
+        await this.redis.set(revokedKey(this._sessionTag(sessionId)), '1', 'EX', Math.ceil(this.ttlMs / 1000));
+    }
+
+    /**
+     * Middleware per i percorsi /stream/:spotify_id/... : una firma presente deve essere valida;
+     * senza firma la richiesta passa se required è false o se viene da un utente autenticato.
+     * @param {{required?: boolean}} [options]
+     */
+    middleware(options = {}) {
+        return async (req, res, next) => {
+            const { spotify_id } = req.params;
+            if (req.query.sig === undefined) {
+                if (!options.required || req.session?.tokens) return next();
+                return res.status(401).send('URL di stream non firmato: accedi o richiedilo con POST /api/stream-token');
+            }
+            try {
+                const { valid, reason } = await this.verify(spotify_id, req.query);
+                if (!valid) {
+                    return res.status(403).send(reason);
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+// Parametri di firma della richiesta, da propagare agli URI relativi (playlist HLS)
+export function signatureQueryString(query) {
+    if (query.sig === undefined) return '';
+    const params = new URLSearchParams();
+    SIGNATURE_PARAMS.forEach(name => params.set(name, String(query[name] ?? '')));
+    return `?${params}`;
+}
@@ -0,0 +1,123 @@
+import fetch from 'node-fetch';
+import path from 'path';
+import fs from 'fs';
+import { runProcess, describeFailure } from './processRunner.js';
+
+const TAG_TIMEOUT_MS = 60 * 1000;
+const COVER_TIMEOUT_MS = 15 * 1000;
+// Le copertine Spotify più grandi sono 640x640 (~150 KB): oltre è sicuramente qualcos'altro
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+// Costruisce gli argomenti -metadata di ffmpeg (chiavi generiche o frame ID3v2.4)
+function metadataArgs(track) {
+    const tags = {
+        title: track.name,
+        artist: (track.artists || [track.artist]).filter(Boolean).join('; '),
+        album: track.album,
+        album_artist: track.album_artist,
+        track: track.track_number ? `${track.track_number}${track.total_tracks ? `/${track.total_tracks}` : ''}` : null,
+        disc: track.disc_number,
+        date: track.release_date,
+        TSRC: track.isrc,
+        // Frame TXXX personalizzato: permette di risalire alla traccia Spotify dal file
+        SPOTIFY_ID: track.spotify_id
+    };
+    return Object.entries(tags)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+/**
+ * Scarica una copertina Spotify.
+ * @returns {Promise<Buffer|null>} null se non disponibile (errore già loggato)
+ */
+export async function fetchCover(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), COVER_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { signal: controller.signal, size: MAX_COVER_BYTES });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        console.warn(`⚠️ Copertina non scaricabile (${url}):`, error.message);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Scrive nei file scaricati i tag ID3v2 e la copertina presi da Spotify, al posto
+ * dei metadati del video YouTube.
+ */
+export default class Tagger {
+    /**
+     * @param {{spotifyAPI: import('./spotify.js').default}} options
+     */
+    constructor(options) {
+        this.spotifyAPI = options.spotifyAPI;
+    }
+
+    /**
+     * Tagga il file mp3 di una traccia. Il file viene riscritto in un temporaneo e poi
+     * sostituito, quindi un lettore concorrente vede sempre un file completo.
+     * @param {string} filePath - File mp3 da taggare
+     * @param {string} spotifyId
+     * @param {object} [track] - Metadati già noti (formato di SpotifyAPI.getTracks)
+     * @returns {Promise<object>} I metadati scritti
+     */
+    async tagFile(filePath, spotifyId, track) {
+        if (!track) {
+            [track] = await this.spotifyAPI.getTracks([spotifyId]);
+            if (!track) {
+                throw { success: false, message: `Traccia ${spotifyId} non trovata su Spotify.` };
+            }
+        }
+
+        const dir = path.dirname(filePath);
+        const tempBase = path.join(dir, `.${path.basename(filePath, '.mp3')}.tag.${process.pid}-${Date.now().toString(36)}`);
+        const tempPath = `${tempBase}.mp3`;
+        const coverPath = track.image ? await this._downloadCover(track.image, `${tempBase}.jpg`) : null;
+
+        const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', filePath];
+        if (coverPath) args.push('-i', coverPath);
+        args.push('-map', '0:a');
+        if (coverPath) {
+            args.push('-map', '1:v', '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+        }
+        args.push(
+            '-c', 'copy',
+            // Scarta i metadati ereditati da YouTube
+            '-map_metadata', '-1',
+            '-id3v2_version', '4',
+            ...metadataArgs({ ...track, spotify_id: spotifyId }),
+            '-f', 'mp3', tempPath
+        );
+
+        try {
+            const result = await runProcess('ffmpeg', args, { timeoutMs: TAG_TIMEOUT_MS });
+            if (!result.ok) {
+                throw new Error(describeFailure('ffmpeg', result));
+            }
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw { success: false, message: `Errore durante la scrittura dei tag: ${error.message}`, error };
+        } finally {
+            if (coverPath) await fs.promises.unlink(coverPath).catch(() => {});
+        }
+
+        console.log(`🏷️ Tag Spotify scritti in ${path.basename(filePath)}${coverPath ? ' (con copertina)' : ''}.`);
+        return track;
+    }
+
+    // Scarica la copertina; se non disponibile il file viene taggato senza
+    async _downloadCover(url, destination) {
+        const cover = await fetchCover(url);
+        if (!cover) return null;
+        await fs.promises.writeFile(destination, cover);
+        return destination;
+    }
+}
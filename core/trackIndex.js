@@ -0,0 +1,265 @@
+import path from 'path';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+const INDEX_KEY = 'track-index';
+// Ultimo accesso (stream) per traccia, usato dall'eviction LRU
+const ACCESS_KEY = 'track-index:access';
+// Varianti transcodificate (formato/bitrate) per traccia: hash separato per evitare
+// race tra transcodifiche concorrenti della stessa traccia
+const variantsKey = (spotifyId) => `track-index:variants:${spotifyId}`;
+
+function parseVariants(raw) {
+    const variants = {};
+    for (const [key, value] of Object.entries(raw || {})) {
+        try {
+            variants[key] = JSON.parse(value);
+        } catch (e) {
+            // Variante corrotta: verrà rigenerata alla prossima richiesta
+        }
+    }
+    return variants;
+}
+
+// Gli ID Spotify sono stringhe base62 di 22 caratteri: li usiamo come nome file,
+// quindi vanno validati prima di costruire qualsiasi percorso.
+const SPOTIFY_ID_REGEX = /^[A-Za-z0-9]{22}$/;
+
+export function isValidSpotifyId(spotifyId) {
+    return typeof spotifyId === 'string' && SPOTIFY_ID_REGEX.test(spotifyId);
+}
+
+/**
+ * Indice persistente (Redis) delle tracce scaricate: spotify_id -> file su disco,
+ * sorgente YouTube, durata e data di download.
+ * Emette "registered" e "removed" quando una voce cambia.
+ */
+export default class TrackIndex extends EventEmitter {
+    /**
+     * @param {import('ioredis').Redis} redis - Client Redis
+     * @param {string} downloadsDir - Directory dei download
+     */
+    constructor(redis, downloadsDir) {
+        super();
+        this.redis = redis;
+        this.downloadsDir = downloadsDir;
+    }
+
+    filePathFor(spotifyId, extension = 'mp3') {
+        if (!isValidSpotifyId(spotifyId)) {
+            throw new Error(`ID Spotify non valido: ${spotifyId}`);
+        }
+        return path.join(this.downloadsDir, `${spotifyId}.${extension}`);
+    }
+
+    // Es. "<spotify_id>.opus-96.opus"
+    variantPathFor(spotifyId, variant) {
+        if (!isValidSpotifyId(spotifyId)) {
+            throw new Error(`ID Spotify non valido: ${spotifyId}`);
+        }
+        return path.join(this.downloadsDir, `${spotifyId}.${variant.key}.${variant.extension}`);
+    }
+
+    // Il file viene salvato relativo a downloadsDir se possibile, così la directory può essere spostata.
+    _toStoredPath(filePath) {
+        const relative = path.relative(this.downloadsDir, filePath);
+        return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+    }
+
+    absolutePath(entry) {
+        return path.resolve(this.downloadsDir, entry.file);
+    }
+
+    async get(spotifyId) {
+        const [[, raw], [, rawVariants]] = await this.redis.multi()
+            .hget(INDEX_KEY, spotifyId)
+            .hgetall(variantsKey(spotifyId))
+            .exec();
+        if (!raw) return null;
+        try {
+            return { ...JSON.parse(raw), variants: parseVariants(rawVariants) };
+        } catch (e) {
+            console.warn(`⚠️ Voce dell'indice corrotta per ${spotifyId}, la ignoro.`);
+            return null;
+        }
+    }
+
+    /**
+     * Ritorna la voce dell'indice solo se il file esiste ancora su disco.
+     * Le voci orfane vengono rimosse.
+     */
+    async resolve(spotifyId) {
+        const entry = await this.get(spotifyId);
+        if (!entry) return null;
+
+        const filePath = this.absolutePath(entry);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`⚠️ File indicizzato mancante per ${spotifyId} (${filePath}), rimuovo la voce.`);
+            await this.remove(spotifyId);
+            return null;
+        }
+        return { ...entry, path: filePath };
+    }
+
+    /**
+     * Registra (o sovrascrive) la voce di una traccia.
+     * @param {string} spotifyId
+     * @param {{path: string, source?: object, duration_ms?: number, target_duration_ms?: number}} data
+     */
+    async register(spotifyId, data) {
+        const { path: filePath, variants, ...rest } = data;
+        const entry = {
+            spotify_id: spotifyId,
+            ...rest,
+            file: this._toStoredPath(filePath),
+            downloaded_at: new Date().toISOString()
+        };
+        await this.redis.multi()
+            .hset(INDEX_KEY, spotifyId, JSON.stringify(entry))
+            .zadd(ACCESS_KEY, Date.now(), spotifyId)
+            .exec();
+        this.emit('registered', entry);
+        return { ...entry, path: filePath };
+    }
+
+    /**
+     * Aggiorna alcuni campi di una voce esistente (es. analisi loudness), senza
+     * toccare file e data di download. Non emette eventi.
+     * @returns {Promise<object|null>} La voce aggiornata, null se non esiste
+     */
+    async update(spotifyId, fields) {
+        const raw = await this.redis.hget(INDEX_KEY, spotifyId);
+        if (!raw) return null;
+        const { spotify_id, file, downloaded_at, variants, ...rest } = fields;
+        const entry = { ...JSON.parse(raw), ...rest };
+        await this.redis.hset(INDEX_KEY, spotifyId, JSON.stringify(entry));
+        return entry;
+    }
+
+    /**
+     * Registra una variante transcodificata già scritta su disco.
+     * @param {string} spotifyId
+     * @param {{key: string, format: string, bitrate: number|null, normalize?: boolean, gainDb?: number, segments?: string[]}} variant
+     *        segments: file aggiuntivi della variante (segmenti HLS), cancellati insieme a essa
+     * @param {string} filePath
+     */
+    async registerVariant(spotifyId, variant, filePath) {
+        const stored = {
+            file: this._toStoredPath(filePath),
+            format: variant.format,
+            bitrate: variant.bitrate,
+            ...(variant.normalize ? { normalized: true, gain_db: variant.gainDb } : {}),
+            ...(variant.segments ? { segments: variant.segments.map(file => this._toStoredPath(file)) } : {}),
+            created_at: new Date().toISOString()
+        };
+        await this.redis.hset(variantsKey(spotifyId), variant.key, JSON.stringify(stored));
+        this.emit('registered', { spotify_id: spotifyId, variant: variant.key });
+        return stored;
+    }
+
+    async remove(spotifyId) {
+        await this.redis.multi()
+            .hdel(INDEX_KEY, spotifyId)
+            .del(variantsKey(spotifyId))
+            .zrem(ACCESS_KEY, spotifyId)
+            .exec();
+        this.emit('removed', spotifyId);
+    }
+
+    /**
+     * Rimuove la traccia dall'indice e cancella i suoi file dalla cache.
+     * I file esterni alla directory dei download non vengono mai cancellati.
+     * @returns {Promise<number>} Byte liberati
+     */
+    async purge(spotifyId) {
+        const entry = await this.get(spotifyId);
+        await this.remove(spotifyId);
+        if (!entry) return 0;
+
+        let freed = 0;
+        for (const filePath of this.cacheFilesOf(entry)) {
+            try {
+                const stats = await fs.promises.stat(filePath);
+                await fs.promises.unlink(filePath);
+                freed += stats.size;
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    console.warn(`⚠️ Impossibile cancellare ${filePath}:`, e.message);
+                }
+            }
+        }
+        return freed;
+    }
+
+    // File di cache appartenenti a una voce (solo quelli dentro downloadsDir)
+    cacheFilesOf(entry) {
+        const variantFiles = Object.values(entry.variants || {}).flatMap(variant => [variant.file, ...(variant.segments || [])]);
+        return [entry.file, ...variantFiles]
+            .filter(file => file && !path.isAbsolute(file))
+            .map(file => path.join(this.downloadsDir, file));
+    }
+
+    // Registra l'ultimo accesso a una traccia (chiamato ad ogni /stream)
+    async touch(spotifyId) {
+        await this.redis.zadd(ACCESS_KEY, 'XX', Date.now(), spotifyId);
+    }
+
+    /**
+     * @returns {Promise<Map<string, number>>} spotify_id -> timestamp ultimo accesso
+     */
+    async lastAccessTimes() {
+        const raw = await this.redis.zrange(ACCESS_KEY, 0, -1, 'WITHSCORES');
+        const times = new Map();
+        for (let i = 0; i < raw.length; i += 2) {
+            times.set(raw[i], Number(raw[i + 1]));
+        }
+        return times;
+    }
+
+    // Rimuove dal registro accessi le tracce che non sono più nell'indice
+    async pruneAccessTimes(validIds) {
+        const times = await this.lastAccessTimes();
+        const stale = [...times.keys()].filter(id => !validIds.has(id));
+        if (stale.length > 0) {
+            await this.redis.zrem(ACCESS_KEY, ...stale);
+        }
+        return stale.length;
+    }
+
+    async all() {
+        const raw = await this.redis.hgetall(INDEX_KEY);
+        const entries = Object.values(raw).map(value => {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+
+        if (entries.length === 0) return entries;
+        const pipeline = this.redis.pipeline();
+        entries.forEach(entry => pipeline.hgetall(variantsKey(entry.spotify_id)));
+        const variantResults = await pipeline.exec();
+        return entries.map((entry, i) => ({ ...entry, variants: parseVariants(variantResults[i][1]) }));
+    }
+
+    /**
+     * Migra un file salvato con il vecchio schema "artist - title.mp3" verso il nuovo
+     * percorso basato sull'ID Spotify, registrandolo nell'indice.
+     */
+    async adoptLegacyFile(spotifyId, artist, title) {
+        if (!artist || !title) return null;
+
+        const legacyName = `${artist} - ${title}.mp3`.replace(/[^a-zA-Z0-9\s\-\.]/g, '').replace(/\s+/g, ' ').trim();
+        const legacyPath = path.join(this.downloadsDir, legacyName);
+        // Con il vecchio schema i nomi non-ASCII collassavano: "  - .mp3" non identifica nulla.
+        if (!/[a-zA-Z0-9]/.test(legacyName.replace(/\.mp3$/, '')) || !fs.existsSync(legacyPath)) {
+            return null;
+        }
+
+        const newPath = this.filePathFor(spotifyId);
+        await fs.promises.rename(legacyPath, newPath);
+        console.log(`📦 Migrato file legacy "${legacyName}" -> ${path.basename(newPath)}`);
+        return this.register(spotifyId, { path: newPath, source: { provider: 'legacy' } });
+    }
+}
@@ -0,0 +1,203 @@
+import path from 'path';
+import fs from 'fs';
+import { runProcess, describeFailure } from './processRunner.js';
+import { normalizationGain } from './loudness.js';
+
+// Formati di uscita supportati da /stream (?format=...)
+export const AUDIO_FORMATS = {
+    mp3: { extension: 'mp3', contentType: 'audio/mpeg', codecArgs: (bitrate) => ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`] },
+    opus: { extension: 'opus', contentType: 'audio/ogg; codecs=opus', codecArgs: (bitrate) => ['-c:a', 'libopus', '-b:a', `${bitrate}k`] },
+    aac: { extension: 'm4a', contentType: 'audio/mp4', codecArgs: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-movflags', '+faststart'] },
+    flac: { extension: 'flac', contentType: 'audio/flac', lossless: true, codecArgs: () => ['-c:a', 'flac'] }
+};
+
+export const ALLOWED_BITRATES = [96, 160, 320];
+
+// Variante scaricata da YouTube (mp3 VBR alla massima qualità): è la sorgente di tutte le altre
+export const ORIGINAL_VARIANT = { key: 'original', format: 'mp3', bitrate: null, extension: 'mp3', contentType: 'audio/mpeg' };
+
+/**
+ * Interpreta i parametri ?format=&bitrate=&normalize= di /stream.
+ * @returns {{variant?: object, error?: string}} La variante richiesta (ORIGINAL_VARIANT se nessun parametro)
+ */
+export function parseVariant(format, bitrate, normalize) {
+    const parsed = parseFormat(format, bitrate);
+    if (parsed.error || !(normalize === '1' || normalize === 'true')) return parsed;
+
+    // La normalizzazione richiede una ricodifica: l'originale diventa mp3 al bitrate più alto
+    const base = parsed.variant.key === ORIGINAL_VARIANT.key
+        ? parseFormat('mp3', String(Math.max(...ALLOWED_BITRATES))).variant
+        : parsed.variant;
+    return { variant: { ...base, key: `${base.key}-norm`, normalize: true } };
+}
+
+function parseFormat(format, bitrate) {
+    if (!format && !bitrate) return { variant: ORIGINAL_VARIANT };
+
+    const formatName = (format || 'mp3').toLowerCase();
+    const definition = AUDIO_FORMATS[formatName];
+    if (!definition) {
+        return { error: `Formato non supportato: ${format}. Valori ammessi: ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+    }
+
+    if (definition.lossless) {
+        return { variant: { key: formatName, format: formatName, bitrate: null, extension: definition.extension, contentType: definition.contentType } };
+    }
+    if (!bitrate) {
+        // mp3 senza bitrate esplicito è l'originale; gli altri formati usano il bitrate più alto
+        if (formatName === 'mp3') return { variant: ORIGINAL_VARIANT };
+        bitrate = String(Math.max(...ALLOWED_BITRATES));
+    }
+
+    const parsedBitrate = parseInt(bitrate, 10);
+    if (!ALLOWED_BITRATES.includes(parsedBitrate)) {
+        return { error: `Bitrate non supportato: ${bitrate}. Valori ammessi: ${ALLOWED_BITRATES.join(', ')}` };
+    }
+    return {
+        variant: {
+            key: `${formatName}-${parsedBitrate}`,
+            format: formatName,
+            bitrate: parsedBitrate,
+            extension: definition.extension,
+            contentType: definition.contentType
+        }
+    };
+}
+
+// Ordine di preferenza della sorgente per una transcodifica: lossless > originale > bitrate più alto.
+// Le varianti normalizzate non sono mai una sorgente, il guadagno verrebbe applicato due volte;
+// nemmeno quelle che non sono un file audio (renditions HLS, picchi della waveform).
+function variantRank(variant) {
+    if (variant.normalized || !AUDIO_FORMATS[variant.format]) return -1;
+    if (AUDIO_FORMATS[variant.format]?.lossless) return 10000;
+    if (variant.key === ORIGINAL_VARIANT.key) return 5000;
+    return variant.bitrate || 0;
+}
+
+const TRANSCODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+async function runFfmpeg(args) {
+    const result = await runProcess('ffmpeg', args, { timeoutMs: TRANSCODE_TIMEOUT_MS });
+    if (!result.ok) {
+        throw new Error(describeFailure('ffmpeg', result));
+    }
+}
+
+/**
+ * Produce e mette in cache le varianti (formato/bitrate) di una traccia,
+ * transcodificando dalla migliore variante già presente su disco.
+ */
+export default class Transcoder {
+    /**
+     * @param {{trackIndex: import('./trackIndex.js').default, singleFlight?: import('./singleFlight.js').default,
+     *          loudnessAnalyzer?: import('./loudness.js').default}} options - loudnessAnalyzer serve per normalize=1
+     */
+    constructor(options) {
+        this.trackIndex = options.trackIndex;
+        this.singleFlight = options.singleFlight || null;
+        this.loudnessAnalyzer = options.loudnessAnalyzer || null;
+    }
+
+    /**
+     * Ritorna il percorso della variante richiesta, creandola se necessario.
+     * La traccia deve essere già in cache (almeno la variante originale).
+     * @param {string} spotifyId
+     * @param {object} variant - Variante prodotta da parseVariant
+     * @returns {Promise<{path: string, contentType: string, transcoded: boolean, gainDb: number}>}
+     *          gainDb è il guadagno applicato dalla normalizzazione (0 se assente)
+     */
+    async ensureVariant(spotifyId, variant) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) {
+            throw { success: false, message: `Traccia ${spotifyId} non presente in cache.` };
+        }
+        if (variant.key === ORIGINAL_VARIANT.key) {
+            return { path: entry.path, contentType: variant.contentType, transcoded: false, gainDb: 0 };
+        }
+
+        const existing = this._existingVariant(entry, variant);
+        if (existing) return existing;
+
+        const job = () => this._transcode(spotifyId, variant);
+        if (!this.singleFlight) return job();
+
+        const findReady = async () => {
+            const current = await this.trackIndex.resolve(spotifyId);
+            return current ? this._existingVariant(current, variant) : null;
+        };
+        return this.singleFlight.run(`transcode:${spotifyId}:${variant.key}`, async () => {
+            return (await findReady()) || job();
+        }, { isDone: findReady });
+    }
+
+    _existingVariant(entry, variant) {
+        const filePath = this._existingVariantPath(entry, variant.key);
+        if (!filePath) return null;
+        const gainDb = entry.variants[variant.key].gain_db || 0;
+        return { path: filePath, contentType: variant.contentType, transcoded: false, gainDb };
+    }
+
+    _existingVariantPath(entry, key) {
+        const stored = entry.variants?.[key];
+        if (!stored) return null;
+        const filePath = path.resolve(this.trackIndex.downloadsDir, stored.file);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    // Sceglie come sorgente la variante di qualità più alta già presente su disco
+    _bestSource(entry) {
+        const candidates = [{ ...ORIGINAL_VARIANT, path: entry.path }];
+        for (const [key, stored] of Object.entries(entry.variants || {})) {
+            const filePath = this._existingVariantPath(entry, key);
+            if (filePath) candidates.push({ ...stored, key, path: filePath });
+        }
+        return candidates.sort((a, b) => variantRank(b) - variantRank(a))[0];
+    }
+
+    async _transcode(spotifyId, variant) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) {
+            throw { success: false, message: `Traccia ${spotifyId} non presente in cache.` };
+        }
+
+        const source = this._bestSource(entry);
+        const outputPath = this.trackIndex.variantPathFor(spotifyId, variant);
+        const tempPath = path.join(
+            path.dirname(outputPath),
+            `.${path.basename(outputPath, `.${variant.extension}`)}.${process.pid}-${Date.now().toString(36)}.${variant.extension}`
+        );
+
+        let gainDb = 0;
+        if (variant.normalize) {
+            if (!this.loudnessAnalyzer) {
+                throw { success: false, message: 'Normalizzazione non disponibile.' };
+            }
+            const loudness = await this.loudnessAnalyzer.analyze(spotifyId);
+            if (!loudness) {
+                throw { success: false, message: `Traccia ${spotifyId} non presente in cache.` };
+            }
+            gainDb = normalizationGain(loudness);
+        }
+
+        console.log(`🎛️ Transcodifica ${spotifyId}: ${source.key} -> ${variant.key}${gainDb ? ` (guadagno ${gainDb} dB)` : ''}`);
+        const started = Date.now();
+        try {
+            await runFfmpeg([
+                '-hide_banner', '-loglevel', 'error', '-y',
+                '-i', source.path,
+                '-vn', '-map_metadata', '0',
+                ...(variant.normalize ? ['-af', `volume=${gainDb}dB`] : []),
+                ...AUDIO_FORMATS[variant.format].codecArgs(variant.bitrate),
+                tempPath
+            ]);
+            await fs.promises.rename(tempPath, outputPath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw { success: false, message: `Errore durante la transcodifica in ${variant.key}: ${error.message}`, error };
+        }
+
+        await this.trackIndex.registerVariant(spotifyId, { ...variant, gainDb }, outputPath);
+        console.log(`✅ Variante ${variant.key} di ${spotifyId} pronta in ${Date.now() - started} ms.`);
+        return { path: outputPath, contentType: variant.contentType, transcoded: true, gainDb };
+    }
+}
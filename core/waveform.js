@@ -0,0 +1,215 @@
+import path from 'path';
+import fs from 'fs';
+import { runProcess, describeFailure } from './processRunner.js';
+
+// Risoluzione piena, calcolata una volta e salvata: circa 86 coppie min/max al secondo
+const DECODE_SAMPLE_RATE = 22050;
+const SAMPLES_PER_PEAK = 256;
+const DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+// Header del formato binario di audiowaveform (.dat v1, 16 bit), letto direttamente da peaks.js
+const DAT_HEADER_BYTES = 20;
+const DAT_VERSION = 1;
+
+// Registrata nell'indice come variante: "<spotify_id>.peaks.dat"
+export const PEAKS_VARIANT = { key: 'peaks', format: 'peaks', bitrate: null, extension: 'dat', contentType: 'application/octet-stream' };
+
+/**
+ * @typedef {object} Peaks
+ * @property {number} sampleRate
+ * @property {number} samplesPerPeak - Campioni audio coperti da ogni coppia min/max
+ * @property {Int16Array} data - Coppie [min, max, min, max, ...]
+ */
+
+/**
+ * Decodifica il file in PCM mono e calcola i picchi min/max a risoluzione piena.
+ * Il PCM viene elaborato in streaming, senza mai tenerlo tutto in memoria.
+ * @returns {Promise<Peaks>}
+ */
+export async function computePeaks(filePath) {
+    const values = [];
+    let carry = null;
+    let count = 0;
+    let min = 32767;
+    let max = -32768;
+
+    const result = await runProcess('ffmpeg', [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', filePath,
+        '-vn', '-ac', '1', '-ar', String(DECODE_SAMPLE_RATE),
+        '-f', 's16le', '-'
+    ], {
+        timeoutMs: DECODE_TIMEOUT_MS,
+        onStdout: (chunk) => {
+            if (carry) {
+                chunk = Buffer.concat([carry, chunk]);
+                carry = null;
+            }
+            // Un campione può essere spezzato tra due chunk
+            const usable = chunk.length - (chunk.length % 2);
+            for (let i = 0; i < usable; i += 2) {
+                const sample = chunk.readInt16LE(i);
+                if (sample < min) min = sample;
+                if (sample > max) max = sample;
+                if (++count === SAMPLES_PER_PEAK) {
+                    values.push(min, max);
+                    count = 0;
+                    min = 32767;
+                    max = -32768;
+                }
+            }
+            if (usable < chunk.length) carry = chunk.subarray(usable);
+        }
+    });
+    if (!result.ok) {
+        throw new Error(describeFailure('ffmpeg', result));
+    }
+    if (count > 0) values.push(min, max);
+
+    return { sampleRate: DECODE_SAMPLE_RATE, samplesPerPeak: SAMPLES_PER_PEAK, data: Int16Array.from(values) };
+}
+
+/**
+ * Riduce i picchi ad al più `points` coppie, unendo gruppi di coppie consecutive
+ * (min dei minimi, max dei massimi). Non aumenta mai la risoluzione.
+ * @param {Peaks} peaks
+ * @param {number} points
+ * @returns {Peaks}
+ */
+export function downsamplePeaks(peaks, points) {
+    const length = peaks.data.length / 2;
+    const factor = Math.max(1, Math.ceil(length / points));
+    if (factor === 1) return peaks;
+
+    const data = new Int16Array(Math.ceil(length / factor) * 2);
+    for (let out = 0, start = 0; start < length; out++, start += factor) {
+        let min = 32767;
+        let max = -32768;
+        for (let i = start, end = Math.min(start + factor, length); i < end; i++) {
+            if (peaks.data[i * 2] < min) min = peaks.data[i * 2];
+            if (peaks.data[i * 2 + 1] > max) max = peaks.data[i * 2 + 1];
+        }
+        data[out * 2] = min;
+        data[out * 2 + 1] = max;
+    }
+    return { sampleRate: peaks.sampleRate, samplesPerPeak: peaks.samplesPerPeak * factor, data };
+}
+
+// Formato binario .dat di audiowaveform (v1, 16 bit, little endian)
+export function encodePeaks(peaks) {
+    const buffer = Buffer.alloc(DAT_HEADER_BYTES + peaks.data.length * 2);
+    buffer.writeInt32LE(DAT_VERSION, 0);
+    buffer.writeUInt32LE(0, 4); // flag: campioni a 16 bit
+    buffer.writeInt32LE(peaks.sampleRate, 8);
+    buffer.writeInt32LE(peaks.samplesPerPeak, 12);
+    buffer.writeUInt32LE(peaks.data.length / 2, 16);
+    for (let i = 0; i < peaks.data.length; i++) {
+        buffer.writeInt16LE(peaks.data[i], DAT_HEADER_BYTES + i * 2);
+    }
+    return buffer;
+}
+
+export function decodePeaks(buffer) {
+    if (buffer.length < DAT_HEADER_BYTES || buffer.readInt32LE(0) !== DAT_VERSION) {
+        throw new Error('File dei picchi non valido.');
+    }
+    const length = buffer.readUInt32LE(16);
+    const data = new Int16Array(length * 2);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = buffer.readInt16LE(DAT_HEADER_BYTES + i * 2);
+    }
+    return { sampleRate: buffer.readInt32LE(8), samplesPerPeak: buffer.readInt32LE(12), data };
+}
+
+// Formato JSON di audiowaveform (versione 2), compatibile con peaks.js
+export function peaksToJson(peaks) {
+    return {
+        version: 2,
+        channels: 1,
+        sample_rate: peaks.sampleRate,
+        samples_per_pixel: peaks.samplesPerPeak,
+        bits: 16,
+        length: peaks.data.length / 2,
+        data: Array.from(peaks.data)
+    };
+}
+
+/**
+ * Picchi della waveform delle tracce in cache: calcolati una volta a risoluzione piena
+ * e salvati come variante della traccia (stessa eviction dell'audio).
+ */
+export default class WaveformCache {
+    /**
+     * @param {{trackIndex: import('./trackIndex.js').default, singleFlight?: import('./singleFlight.js').default}} options
+     */
+    constructor(options) {
+        this.trackIndex = options.trackIndex;
+        this.singleFlight = options.singleFlight || null;
+    }
+
+    /**
+     * @returns {Promise<Peaks|null>} null se la traccia non è in cache
+     */
+    async getPeaks(spotifyId) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) return null;
+
+        const cached = await this._readCached(entry);
+        if (cached) return cached;
+
+        const job = () => this._compute(spotifyId);
+        if (!this.singleFlight) return job();
+
+        const findReady = async () => {
+            const current = await this.trackIndex.resolve(spotifyId);
+            return current ? this._readCached(current) : null;
+        };
+        return this.singleFlight.run(`peaks:${spotifyId}`, async () => {
+            return (await findReady()) || job();
+        }, { isDone: findReady });
+    }
+
+    /**
+     * Stat del file dei picchi in cache (validatore per le risposte HTTP): cambia quando
+     * l'audio viene riscaricato e i picchi ricalcolati.
+     * @returns {Promise<import('fs').Stats|null>} null se i picchi non sono (più) in cache
+     */
+    async peaksFileStats(spotifyId) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        const stored = entry?.variants?.[PEAKS_VARIANT.key];
+        if (!stored) return null;
+        return fs.promises.stat(path.resolve(this.trackIndex.downloadsDir, stored.file)).catch(() => null);
+    }
+
+    async _readCached(entry) {
+        const stored = entry.variants?.[PEAKS_VARIANT.key];
+        if (!stored) return null;
+        try {
+            return decodePeaks(await fs.promises.readFile(path.resolve(this.trackIndex.downloadsDir, stored.file)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Picchi in cache illeggibili per ${entry.spotify_id}, li ricalcolo:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async _compute(spotifyId) {
+        const entry = await this.trackIndex.resolve(spotifyId);
+        if (!entry) return null;
+
+        const started = Date.now();
+        const peaks = await computePeaks(entry.path);
+        const outputPath = this.trackIndex.variantPathFor(spotifyId, PEAKS_VARIANT);
+        const tempPath = path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${process.pid}-${Date.now().toString(36)}`);
+        try {
+            await fs.promises.writeFile(tempPath, encodePeaks(peaks));
+            await fs.promises.rename(tempPath, outputPath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+        await this.trackIndex.registerVariant(spotifyId, PEAKS_VARIANT, outputPath);
+        console.log(`〰️ Waveform di ${spotifyId}: ${peaks.data.length / 2} picchi in ${Date.now() - started} ms.`);
+        return peaks;
+    }
+}
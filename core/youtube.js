@@ -1,19 +1,60 @@
-import { exec } from 'child_process';
+import { PassThrough } from 'stream';
+import { once } from 'events';
+import { finished } from 'stream/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import util from 'util';
+import { runProcess, describeFailure } from './processRunner.js';
+import { rankCandidates, LOW_CONFIDENCE_SCORE } from './matchScorer.js';
 
 // Fix per __dirname in ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const execPromise = util.promisify(exec);
+
+const SEARCH_TIMEOUT_MS = 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+// Il JSON di yt-dlp per un video include la lista completa dei formati: qualche MB per ricerca
+const SEARCH_MAX_STDOUT_BYTES = 16 * 1024 * 1024;
+// Download progressivo: senza dati da yt-dlp per questo tempo i processi vengono terminati,
+// così il lock del download (rinnovato finché il job è vivo) non resta bloccato
+const PROGRESSIVE_STALL_TIMEOUT_MS = 60 * 1000;
+
+// Scrive il chunk su tutti gli stream; se uno è pieno ritorna la promise del suo 'drain',
+// che runProcess usa per sospendere la lettura dal processo (niente audio accumulato in memoria)
+function writeAll(streams, chunk) {
+    const full = streams.filter(stream => !stream.write(chunk));
+    if (full.length === 0) return null;
+    return Promise.all(full.map(stream => once(stream, 'drain')));
+}
 
 export default class YoutubeAPI {
-    constructor() {
+    /**
+     * @param {{trackIndex?: import('./trackIndex.js').default, singleFlight?: import('./singleFlight.js').default,
+     *          matchOverrides?: import('./matchOverrides.js').default, tagger?: import('./tagger.js').default}} [options]
+     */
+    constructor(options = {}) {
         // La directory downloads è ora gestita da index.js, ma la manteniamo per sanitizeFilename se necessario
         // this.downloadsDir = path.join(__dirname, '..', 'downloads'); 
         // this.ensureDownloadsDir();
+        this.trackIndex = options.trackIndex || null;
+        // Deduplica i download concorrenti della stessa traccia (anche tra processi)
+        this.singleFlight = options.singleFlight || null;
+        // Video imposti a mano o segnalati come sbagliati per una traccia
+        this.matchOverrides = options.matchOverrides || null;
+        // Scrive i tag Spotify nei file scaricati prima di registrarli
+        this.tagger = options.tagger || null;
+    }
+
+    async _resolveCached(spotifyId) {
+        const cached = await this.trackIndex.resolve(spotifyId);
+        if (!cached) return null;
+        return {
+            success: true,
+            cached: true,
+            path: cached.path,
+            duration: cached.duration_ms,
+            metadata: cached.source
+        };
     }
 
     // ensureDownloadsDir() { // Non più strettamente necessario qui se index.js la crea
@@ -26,39 +67,111 @@ export default class YoutubeAPI {
      * Cerca tra i primi N video su YouTube, seleziona il migliore in base alla durata e lo scarica.
      * @param {string} query - Query di ricerca (titolo + artista)
      * @param {number} targetDurationMs - Durata target in millisecondi
-     * @param {string} outputPath - Percorso completo dove salvare il file MP3
-     * @returns {Promise<{success: boolean, path?: string, duration?: number, message?: string, metadata?: any}>}
+     * @param {string} [outputPath] - Percorso completo dove salvare il file MP3 (di default quello dell'indice)
+     * @param {{spotifyId?: string, signal?: AbortSignal, title?: string, artist?: string}} [options] - Con spotifyId la traccia
+     *        viene risolta e registrata nell'indice; signal annulla ricerca e download; title/artist Spotify migliorano
+     *        la scelta del video
+     * @returns {Promise<{success: boolean, path?: string, duration?: number, message?: string, metadata?: any, cached?: boolean}>}
      */
-    async searchAndDownload(query, targetDurationMs, outputPath) {
-        const sanitizedQueryForSearch = query.replace(/["']/g, '');
-        
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-            console.log(`📂 Creata directory: ${outputDir}`);
+    async searchAndDownload(query, targetDurationMs, outputPath, options = {}) {
+        const { spotifyId, signal, title, artist } = options;
+        const searchOptions = { signal, title, artist };
+        const useIndex = Boolean(spotifyId && this.trackIndex);
+
+        if (useIndex) {
+            const cached = await this._resolveCached(spotifyId);
+            if (cached) {
+                console.log(`📦 Traccia ${spotifyId} già presente nell'indice: ${cached.path}`);
+                return cached;
+            }
+            outputPath = outputPath || this.trackIndex.filePathFor(spotifyId);
+        }
+        if (!outputPath) {
+            throw { success: false, message: 'Percorso di output mancante e nessun ID Spotify da cui ricavarlo.' };
         }
 
-        const NUM_VIDEOS_TO_SEARCH = 3;
-        const searchCommand = `yt-dlp "ytsearch${NUM_VIDEOS_TO_SEARCH}:${sanitizedQueryForSearch}" --dump-json --no-warnings --ignore-errors`;
-        console.log(`🔍 Comando ricerca metadati yt-dlp: ${searchCommand}`);
+        if (useIndex && this.singleFlight) {
+            const resolveCached = () => this._resolveCached(spotifyId);
+            return this.singleFlight.run(`download:${spotifyId}`, async (sharedSignal) => {
+                // Un altro processo potrebbe aver completato il download appena prima che ottenessimo il lock
+                const cached = await resolveCached();
+                if (cached) return cached;
+                return this._downloadBestMatch(query, targetDurationMs, outputPath, spotifyId, { ...searchOptions, signal: sharedSignal });
+            }, { isDone: resolveCached, signal });
+        }
 
-        let searchStdout, searchStderr;
-        try {
-            const { stdout, stderr } = await execPromise(searchCommand);
-            searchStdout = stdout;
-            searchStderr = stderr;
-            if (searchStderr) {
-                console.warn(`Stderr ricerca yt-dlp (non fatale o gestito da --ignore-errors): ${searchStderr.trim()}`);
+        return this._downloadBestMatch(query, targetDurationMs, outputPath, useIndex ? spotifyId : null, searchOptions);
+    }
+
+    /**
+     * Cerca tra i primi N video su YouTube e seleziona quello con il punteggio migliore
+     * (similarità di titolo/artista, canale, versioni alternative, durata: vedi matchScorer.js).
+     * @param {string} query - Query di ricerca (titolo + artista)
+     * @param {number} [targetDurationMs] - Durata target in millisecondi
+     * @param {{signal?: AbortSignal, title?: string, artist?: string, excludeIds?: string[]}} [options] - title/artist
+     *        Spotify per il punteggio; excludeIds sono video da non scegliere (segnalati come sbagliati)
+     * @returns {Promise<object>} Metadati yt-dlp del video selezionato, con il dettaglio del punteggio in "match"
+     */
+    async findBestVideo(query, targetDurationMs, options = {}) {
+        return this._pickBest(await this._searchRanked(query, targetDurationMs, options), query);
+    }
+
+    /**
+     * Candidati per una traccia, ordinati per punteggio: l'override manuale se presente,
+     * altrimenti i risultati della ricerca esclusi i video segnalati come sbagliati.
+     * @param {string} query - Query di ricerca (titolo + artista)
+     * @param {number} [targetDurationMs] - Durata target in millisecondi
+     * @param {{spotifyId?: string, signal?: AbortSignal, title?: string, artist?: string}} [options]
+     * @returns {Promise<Array<{video: object, score: number, breakdown: object|null, override?: boolean}>>}
+     */
+    async searchCandidates(query, targetDurationMs, options = {}) {
+        const { spotifyId, ...searchOptions } = options;
+        if (!spotifyId || !this.matchOverrides) {
+            return this._searchRanked(query, targetDurationMs, searchOptions);
+        }
+
+        const override = await this.matchOverrides.get(spotifyId);
+        if (override) {
+            console.log(`📌 Override manuale per ${spotifyId}: video ${override.youtube_id}`);
+            const video = await this.getVideoMetadata(override.youtube_id, searchOptions);
+            return [{ video, score: 1, breakdown: null, override: true }];
+        }
+
+        const excludeIds = await this.matchOverrides.rejectedIds(spotifyId);
+        if (excludeIds.length > 0) {
+            console.log(`🚫 Video esclusi per ${spotifyId} (segnalati): ${excludeIds.join(', ')}`);
+        }
+        return this._searchRanked(query, targetDurationMs, { ...searchOptions, excludeIds });
+    }
+
+    async _searchRanked(query, targetDurationMs, options = {}) {
+        const NUM_VIDEOS_TO_SEARCH = 8;
+        const searchArgs = ['--dump-json', '--no-warnings', '--ignore-errors', '--', `ytsearch${NUM_VIDEOS_TO_SEARCH}:${query}`];
+        console.log(`🔍 Ricerca metadati yt-dlp: ${JSON.stringify(searchArgs)}`);
+
+        const search = await runProcess('yt-dlp', searchArgs, {
+            timeoutMs: SEARCH_TIMEOUT_MS,
+            maxStdoutBytes: SEARCH_MAX_STDOUT_BYTES,
+            signal: options.signal
+        });
+        if (search.aborted) {
+            throw { success: false, aborted: true, message: 'Ricerca su YouTube annullata.' };
+        }
+
+        const searchStdout = search.stdout;
+        if (search.ok) {
+            if (search.stderr.trim()) {
+                console.warn(`Stderr ricerca yt-dlp (non fatale o gestito da --ignore-errors): ${search.stderr.trim()}`);
             }
-        } catch (error) {
-            console.error(`❌ Errore durante l'esecuzione della ricerca metadati yt-dlp per "${query}":`, error.message);
-            if (error.stderr) console.error(`Stderr ricerca yt-dlp: ${error.stderr.trim()}`);
-            
-            searchStdout = error.stdout || "";
-            if (!searchStdout.trim() && !(error.stdout && error.stdout.trim())) {
-                throw { success: false, message: `Errore yt-dlp fatale durante ricerca metadati: ${error.message}`, error };
+        } else {
+            const reason = describeFailure('yt-dlp', search);
+            console.error(`❌ Errore durante la ricerca metadati yt-dlp per "${query}": ${reason}`);
+
+            // Con --ignore-errors yt-dlp esce con errore anche se solo uno dei risultati è fallito
+            if (!searchStdout.trim() || search.timedOut || search.error) {
+                throw { success: false, message: `Errore yt-dlp fatale durante ricerca metadati: ${reason}` };
             }
-            console.warn("Ricerca metadati yt-dlp ha prodotto un errore, ma si tenta di procedere con stdout parziale (o vuoto) se presente.");
+            console.warn("Ricerca metadati yt-dlp ha prodotto un errore, ma si tenta di procedere con lo stdout parziale.");
         }
         
         const videoMetadatas = searchStdout.trim().split('\n')
@@ -71,7 +184,8 @@ export default class YoutubeAPI {
                     return null;
                 }
             })
-            .filter(video => video && video.webpage_url && typeof video.duration === 'number');
+            .filter(video => video && video.webpage_url && typeof video.duration === 'number')
+            .filter(video => !options.excludeIds?.includes(video.id));
 
         if (videoMetadatas.length === 0) {
             console.log(`🚫 Nessun video valido (con URL e durata) trovato nella ricerca metadati per "${query}".`);
@@ -81,89 +195,378 @@ export default class YoutubeAPI {
         console.log(`ℹ️ Trovati ${videoMetadatas.length} potenziali video con metadati validi.`);
         videoMetadatas.forEach((v, i) => console.log(`  ${i+1}. Titolo: ${v.title}, Durata: ${v.duration}s, URL: ${v.webpage_url?.substring(0,30)}...`));
 
-        let selectedVideoUrl = null;
-        let selectedVideoMetadata = null;
-
-        if (targetDurationMs) {
-            const targetSeconds = targetDurationMs / 1000;
-            const tolerance = Math.max(5, Math.min(15, targetSeconds * 0.10)); 
-            const minDuration = targetSeconds - tolerance;
-            const maxDuration = targetSeconds + tolerance;
-            console.log(`🎯 Filtro durata target: ${minDuration.toFixed(2)}s - ${maxDuration.toFixed(2)}s (Target: ${targetSeconds.toFixed(2)}s)`);
-
-            for (const video of videoMetadatas) {
-                if (video.duration >= minDuration && video.duration <= maxDuration) {
-                    selectedVideoUrl = video.webpage_url;
-                    selectedVideoMetadata = video;
-                    console.log(`✅ Video selezionato: "${video.title}" (Durata: ${video.duration}s) URL: ${selectedVideoUrl}`);
-                    break; 
-                } else {
-                    console.log(`➖ Video scartato: "${video.title}" (Durata: ${video.duration}s non rientra nel range)`);
-                }
-            }
+        const ranked = rankCandidates(videoMetadatas, {
+            title: options.title,
+            artist: options.artist,
+            query,
+            targetDurationMs
+        });
+        ranked.forEach(({ video, score, breakdown }) => {
+            const penalties = breakdown.penalties.map(p => p.label).join(', ');
+            console.log(`  ${score.toFixed(3)} "${video.title}" [${video.channel || video.uploader || 'N/D'}] ` +
+                `(titolo ${breakdown.title}, artista ${breakdown.artist}, canale ${breakdown.channel}, durata ${breakdown.duration}` +
+                `${penalties ? `, penalità: ${penalties}` : ''})`);
+        });
+        return ranked;
+    }
 
-            if (!selectedVideoUrl) {
-                console.log(`⚠️ Nessun video trovato nei primi ${videoMetadatas.length} risultati che corrisponde al filtro di durata.`);
-                throw { success: false, message: `Nessun video trovato tra i primi ${videoMetadatas.length} risultati che soddisfa il criterio di durata.` };
-            }
-        } else {
-            selectedVideoUrl = videoMetadatas[0]?.webpage_url;
-            selectedVideoMetadata = videoMetadatas[0];
-             if(selectedVideoUrl) {
-                 console.log(`✅ Video selezionato (nessun filtro durata): "${selectedVideoMetadata.title}" URL: ${selectedVideoUrl}`);
-            } else {
-                 console.log(`🚫 Nessun video valido trovato (e nessun filtro durata).`);
-                 throw { success: false, message: 'Nessun video valido trovato nella ricerca (e nessun filtro durata).' };
-            }
+    // Metadati del candidato migliore, con il dettaglio del punteggio in "match"
+    _pickBest(ranked, query) {
+        const [best] = ranked;
+        if (best.override) {
+            return { ...best.video, match: { score: best.score, override: true } };
         }
-        
-        const downloadCommand = `yt-dlp "${selectedVideoUrl}" ` +
-            `-f "bestaudio[ext=m4a]/bestaudio" -x --audio-format mp3 --audio-quality 0 ` +
-            `--parse-metadata "%(release_date,upload_date)s:%(meta_date)s" --parse-metadata "%(title)s:%(meta_title)s" ` +
-            `-o "${outputPath.replace(/"/g, '\\"')}" --no-progress --quiet`;
+        const lowConfidence = best.score < LOW_CONFIDENCE_SCORE;
+        if (lowConfidence) {
+            console.warn(`⚠️ Nessun candidato affidabile per "${query}": uso il migliore disponibile (punteggio ${best.score}).`);
+        }
+        console.log(`✅ Video selezionato: "${best.video.title}" (Durata: ${best.video.duration}s, punteggio ${best.score}) URL: ${best.video.webpage_url}`);
+
+        return {
+            ...best.video,
+            match: {
+                score: best.score,
+                low_confidence: lowConfidence,
+                breakdown: best.breakdown,
+                candidates: ranked.length
+            }
+        };
+    }
 
-        console.log(`⚙️ Comando download yt-dlp: ${downloadCommand.replace(selectedVideoUrl, selectedVideoUrl.substring(0,40) + "...")}`);
+    /**
+     * Metadati yt-dlp di un video specifico (usato per gli override manuali).
+     * @param {string} videoId - ID del video YouTube
+     * @param {{signal?: AbortSignal}} [options]
+     */
+    async getVideoMetadata(videoId, options = {}) {
+        const result = await runProcess('yt-dlp', [
+            '--dump-json', '--no-warnings', '--no-playlist',
+            '--', `https://www.youtube.com/watch?v=${videoId}`
+        ], { timeoutMs: SEARCH_TIMEOUT_MS, maxStdoutBytes: SEARCH_MAX_STDOUT_BYTES, signal: options.signal });
 
+        if (result.aborted) {
+            throw { success: false, aborted: true, message: 'Recupero metadati YouTube annullato.' };
+        }
+        if (!result.ok) {
+            throw { success: false, message: `Video YouTube ${videoId} non trovato: ${describeFailure('yt-dlp', result)}` };
+        }
         try {
-            const { stdout: downloadStdout, stderr: downloadStderr } = await execPromise(downloadCommand);
-            if (downloadStderr) {
-                console.warn(`Stderr download yt-dlp (non fatale, --quiet attivo): ${downloadStderr.trim()}`);
+            return JSON.parse(result.stdout);
+        } catch (e) {
+            throw { success: false, message: `Metadati non validi per il video YouTube ${videoId}.` };
+        }
+    }
+
+    // Sceglie il video da scaricare per una traccia (override, esclusioni e punteggio)
+    async _selectVideo(query, targetDurationMs, spotifyId, searchOptions = {}) {
+        const candidates = await this.searchCandidates(query, targetDurationMs, { ...searchOptions, spotifyId });
+        return this._pickBest(candidates, query);
+    }
+
+    /**
+     * Esegue ricerca e download senza passare dalla cache.
+     */
+    async _downloadBestMatch(query, targetDurationMs, outputPath, spotifyId, searchOptions = {}) {
+        const selectedVideoMetadata = await this._selectVideo(query, targetDurationMs, spotifyId, searchOptions);
+        return this.downloadVideo(selectedVideoMetadata, outputPath, { targetDurationMs, spotifyId, signal: searchOptions.signal });
+    }
+
+    /**
+     * Scarica un video già scelto (metadati yt-dlp) in outputPath e, con spotifyId, lo registra nell'indice.
+     * Il file viene scritto in un percorso temporaneo e spostato su outputPath solo a download
+     * completato, così un lettore concorrente non vede mai un mp3 parziale.
+     * @param {object} selectedVideoMetadata - Metadati yt-dlp del video
+     * @param {string} outputPath - Percorso finale del file mp3
+     * @param {{targetDurationMs?: number, spotifyId?: string, signal?: AbortSignal}} [options]
+     */
+    async downloadVideo(selectedVideoMetadata, outputPath, options = {}) {
+        const { targetDurationMs, spotifyId, signal } = options;
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+            console.log(`📂 Creata directory: ${outputDir}`);
+        }
+
+        const selectedVideoUrl = selectedVideoMetadata.webpage_url;
+
+        const tempBase = path.join(
+            path.dirname(outputPath),
+            `.${path.basename(outputPath)}.${process.pid}-${Date.now().toString(36)}`
+        );
+        const tempPath = `${tempBase}.mp3`;
+        const downloadArgs = [
+            '-f', 'bestaudio[ext=m4a]/bestaudio', '-x', '--audio-format', 'mp3', '--audio-quality', '0',
+            '--parse-metadata', '%(release_date,upload_date)s:%(meta_date)s', '--parse-metadata', '%(title)s:%(meta_title)s',
+            '-o', `${tempBase}.%(ext)s`, '--no-progress', '--quiet',
+            '--', selectedVideoUrl
+        ];
+
+        console.log(`⚙️ Download yt-dlp di ${selectedVideoUrl.substring(0, 40)}... verso ${path.basename(tempPath)}`);
+
+        const download = await runProcess('yt-dlp', downloadArgs, { timeoutMs: DOWNLOAD_TIMEOUT_MS, signal });
+        if (download.aborted || download.timedOut) {
+            // Il processo è stato terminato a metà: qualunque file prodotto è incompleto
+            await this._cleanupTempFiles(tempBase);
+            const reason = describeFailure('yt-dlp', download);
+            console.warn(`🛑 Download di ${selectedVideoUrl} interrotto: ${reason}`);
+            throw { success: false, aborted: download.aborted, message: `Download interrotto: ${reason}` };
+        }
+        if (download.ok) {
+            if (download.stderr.trim()) {
+                console.warn(`Stderr download yt-dlp (non fatale, --quiet attivo): ${download.stderr.trim()}`);
             }
-        } catch (downloadError) {
-            console.error(`❌ Errore durante l'esecuzione del download di yt-dlp per "${selectedVideoUrl}":`, downloadError.message);
-            if (downloadError.stderr) console.error(`Stderr yt-dlp (download): ${downloadError.stderr.trim()}`);
+        } else {
+            const reason = describeFailure('yt-dlp', download);
+            console.error(`❌ Errore durante il download yt-dlp per "${selectedVideoUrl}": ${reason}`);
             
-            if (fs.existsSync(outputPath)) {
-                console.warn(`⚠️ yt-dlp ha segnalato un errore durante il download, ma il file di output ${outputPath} esiste. Procedo considerandolo un successo.`);
-                 return { 
-                    success: true, 
-                    path: outputPath, 
-                    duration: selectedVideoMetadata?.duration ? selectedVideoMetadata.duration * 1000 : undefined,
-                    metadata: selectedVideoMetadata ? {
-                        title: selectedVideoMetadata.title || 'N/D',
-                        channel: selectedVideoMetadata.uploader || 'N/D',
-                        url: selectedVideoMetadata.webpage_url
-                    } : undefined
-                };
+            if (fs.existsSync(tempPath)) {
+                console.warn(`⚠️ yt-dlp ha segnalato un errore durante il download, ma il file di output ${tempPath} esiste. Procedo considerandolo un successo.`);
+                await fs.promises.rename(tempPath, outputPath);
+                return this._completeDownload(outputPath, selectedVideoMetadata, targetDurationMs, spotifyId);
             }
-            throw { success: false, message: `Errore yt-dlp durante download e file di output non trovato: ${downloadError.message}`, error: downloadError };
+            await this._cleanupTempFiles(tempBase);
+            throw { success: false, message: `Errore yt-dlp durante download e file di output non trovato: ${reason}` };
         }
         
-        if (fs.existsSync(outputPath)) {
+        if (fs.existsSync(tempPath)) {
+            await fs.promises.rename(tempPath, outputPath);
             console.log(`✅ File scaricato con successo: ${outputPath}`);
-            return {
-                success: true,
-                path: outputPath,
-                duration: selectedVideoMetadata?.duration ? selectedVideoMetadata.duration * 1000 : undefined,
-                metadata: selectedVideoMetadata ? {
-                    title: selectedVideoMetadata.title || 'N/D',
-                    channel: selectedVideoMetadata.uploader || 'N/D',
-                    url: selectedVideoMetadata.webpage_url,
-                } : undefined
-            };
+            return this._completeDownload(outputPath, selectedVideoMetadata, targetDurationMs, spotifyId);
         } else {
-            console.error(`❌ File non trovato a ${outputPath} dopo tentativo di download del video selezionato (yt-dlp non ha dato errori critici o il workaround non si è attivato).`);
+            await this._cleanupTempFiles(tempBase);
+            console.error(`❌ File non trovato a ${tempPath} dopo tentativo di download del video selezionato (yt-dlp non ha dato errori critici o il workaround non si è attivato).`);
             throw { success: false, message: 'File non trovato dopo download del video selezionato (yt-dlp non ha lanciato eccezioni o il file non è stato creato).' };
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Avvia un download progressivo: l'audio convertito da ffmpeg è disponibile come stream
+     * mentre yt-dlp sta ancora scaricando, e viene scritto in cache in parallelo.
+     * Se la traccia è già in cache, o la sta scaricando un'altra richiesta/processo, ritorna
+     * invece il risultato finale del download.
+     * @param {string} query - Query di ricerca (titolo + artista)
+     * @param {number} targetDurationMs - Durata target in millisecondi
+     * @param {string} [outputPath] - Percorso finale del file in cache
+     * @param {{spotifyId?: string, title?: string, artist?: string}} [options] - title/artist come in searchAndDownload
+     * @returns {Promise<{result?: object, job?: {stream: import('stream').Readable, contentType: string, metadata: object, done: Promise<object>, abort: () => void}}>}
+     */
+    async startProgressiveDownload(query, targetDurationMs, outputPath, options = {}) {
+        const { spotifyId, title, artist } = options;
+        const searchOptions = { title, artist };
+        const useIndex = Boolean(spotifyId && this.trackIndex);
+
+        if (useIndex) {
+            const cached = await this._resolveCached(spotifyId);
+            if (cached) return { result: cached };
+            outputPath = outputPath || this.trackIndex.filePathFor(spotifyId);
+        }
+        if (!outputPath) {
+            throw { success: false, message: 'Percorso di output mancante e nessun ID Spotify da cui ricavarlo.' };
+        }
+
+        if (!useIndex || !this.singleFlight) {
+            return { job: await this._spawnProgressive(query, targetDurationMs, outputPath, useIndex ? spotifyId : null, searchOptions) };
+        }
+
+        const resolveCached = () => this._resolveCached(spotifyId);
+        let onJobStarted;
+        const jobStarted = new Promise(resolve => { onJobStarted = resolve; });
+        const flight = this.singleFlight.run(`download:${spotifyId}`, async () => {
+            const cached = await resolveCached();
+            if (cached) return cached;
+            const job = await this._spawnProgressive(query, targetDurationMs, outputPath, spotifyId, searchOptions);
+            onJobStarted({ job });
+            return job.done;
+        }, { isDone: resolveCached });
+
+        // Se il lock è di qualcun altro, il job non parte qui: si attende il file completo.
+        return Promise.race([jobStarted, flight.then(result => ({ result }))]);
+    }
+
+    async _spawnProgressive(query, targetDurationMs, outputPath, spotifyId, searchOptions) {
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const videoMetadata = await this._selectVideo(query, targetDurationMs, spotifyId, searchOptions);
+        const tempPath = path.join(outputDir, `.${path.basename(outputPath)}.${process.pid}-${Date.now().toString(36)}.part`);
+
+        console.log(`📡 Download progressivo di "${videoMetadata.title}" verso ${tempPath}`);
+
+        // yt-dlp → ffmpeg → (client, file in cache). Entrambi i processi passano da runProcess:
+        // timeout e annullamento (abort o fallimento dell'altro processo) li terminano insieme.
+        // Un client lento rallenta ffmpeg e quindi yt-dlp, invece di far crescere i buffer
+        const controller = new AbortController();
+        const audioInput = new PassThrough();
+        const output = new PassThrough();
+        const fileStream = fs.createWriteStream(tempPath);
+
+        let stalled = false;
+        let stallTimer = null;
+        let ytdlpFinished = false;
+        const resetStallTimer = () => {
+            clearTimeout(stallTimer);
+            if (ytdlpFinished) return;
+            stallTimer = setTimeout(() => {
+                stalled = true;
+                controller.abort();
+            }, PROGRESSIVE_STALL_TIMEOUT_MS);
+            stallTimer.unref();
+        };
+        resetStallTimer();
+
+        const ytdlpRun = runProcess('yt-dlp', [
+            '-f', 'bestaudio[ext=m4a]/bestaudio',
+            '-o', '-',
+            '--no-progress', '--quiet', '--no-warnings',
+            '--', videoMetadata.webpage_url
+        ], {
+            timeoutMs: DOWNLOAD_TIMEOUT_MS,
+            signal: controller.signal,
+            onStdout: (chunk) => {
+                resetStallTimer();
+                const drained = writeAll([audioInput], chunk);
+                if (!drained) return null;
+                // In attesa del consumatore yt-dlp non è bloccato: il timer riparte al 'drain'
+                clearTimeout(stallTimer);
+                return drained.then(resetStallTimer);
+            }
+        }).then(result => {
+            ytdlpFinished = true;
+            clearTimeout(stallTimer);
+            audioInput.end();
+            if (!result.ok) controller.abort();
+            return result;
+        });
+        const ffmpegRun = runProcess('ffmpeg', [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-vn', '-c:a', 'libmp3lame', '-q:a', '0',
+            '-f', 'mp3', 'pipe:1'
+        ], {
+            timeoutMs: DOWNLOAD_TIMEOUT_MS,
+            signal: controller.signal,
+            input: audioInput,
+            onStdout: (chunk) => writeAll([output, fileStream], chunk)
+        }).then(result => {
+            if (!result.ok) controller.abort();
+            return result;
+        });
+
+        let aborted = false;
+        let settled = false;
+        const abort = () => {
+            if (settled || aborted) return;
+            aborted = true;
+            console.log(`🛑 Download progressivo interrotto: ${tempPath}`);
+            controller.abort();
+        };
+
+        const done = (async () => {
+            try {
+                const [ytdlp, ffmpeg] = await Promise.all([ytdlpRun, ffmpegRun]);
+                fileStream.end();
+                await finished(fileStream);
+                if (aborted) {
+                    throw { success: false, aborted: true, message: 'Download progressivo interrotto.' };
+                }
+                if (stalled) {
+                    throw { success: false, message: `Download progressivo bloccato: nessun dato da yt-dlp per ${PROGRESSIVE_STALL_TIMEOUT_MS / 1000}s.` };
+                }
+                // Il primo processo fallito è la causa: l'altro è stato solo annullato di conseguenza
+                if (!ytdlp.ok) {
+                    throw { success: false, message: `Download progressivo fallito: ${describeFailure('yt-dlp', ytdlp)}` };
+                }
+                if (!ffmpeg.ok) {
+                    throw { success: false, message: `Download progressivo fallito: ${describeFailure('ffmpeg', ffmpeg)}` };
+                }
+                output.end();
+                await fs.promises.rename(tempPath, outputPath);
+                console.log(`✅ Download progressivo completato: ${outputPath}`);
+                return this._completeDownload(outputPath, videoMetadata, targetDurationMs, spotifyId);
+            } catch (error) {
+                clearTimeout(stallTimer);
+                controller.abort();
+                fileStream.destroy();
+                await fs.promises.unlink(tempPath).catch(() => {});
+                const failure = error && error.success === false
+                    ? error
+                    : { success: false, message: `Errore durante il download progressivo: ${error?.message || error}`, error };
+                output.destroy(new Error(failure.message));
+                throw failure;
+            } finally {
+                settled = true;
+            }
+        })();
+
+        return {
+            stream: output,
+            contentType: 'audio/mpeg',
+            metadata: {
+                title: videoMetadata.title || 'N/D',
+                channel: videoMetadata.uploader || 'N/D',
+                url: videoMetadata.webpage_url,
+                match: videoMetadata.match
+            },
+            done,
+            abort
+        };
+    }
+
+    // Rimuove i file intermedi lasciati da yt-dlp (es. .webm/.m4a/.part) per un download fallito
+    async _cleanupTempFiles(tempBase) {
+        const dir = path.dirname(tempBase);
+        const prefix = path.basename(tempBase);
+        try {
+            const files = await fs.promises.readdir(dir);
+            await Promise.all(files
+                .filter(file => file.startsWith(prefix))
+                .map(file => fs.promises.unlink(path.join(dir, file)).catch(() => {})));
+        } catch (e) {
+            console.warn(`⚠️ Pulizia file temporanei fallita per ${tempBase}:`, e.message);
+        }
+    }
+
+    async _completeDownload(outputPath, videoMetadata, targetDurationMs, spotifyId) {
+        const result = {
+            success: true,
+            path: outputPath,
+            duration: videoMetadata?.duration ? videoMetadata.duration * 1000 : undefined,
+            metadata: videoMetadata ? {
+                title: videoMetadata.title || 'N/D',
+                channel: videoMetadata.uploader || 'N/D',
+                url: videoMetadata.webpage_url,
+                // Dettaglio del punteggio con cui è stato scelto il video, utile per il debug
+                match: videoMetadata.match
+            } : undefined
+        };
+
+        let tagged = false;
+        if (spotifyId && this.tagger) {
+            try {
+                await this.tagger.tagFile(outputPath, spotifyId);
+                tagged = true;
+            } catch (error) {
+                // Un file senza tag è comunque riproducibile: non si fa fallire il download
+                console.warn(`⚠️ Tag non scritti per ${spotifyId}:`, error.message);
+            }
+        }
+
+        if (spotifyId) {
+            await this.trackIndex.register(spotifyId, {
+                path: outputPath,
+                source: {
+                    provider: 'youtube',
+                    id: videoMetadata?.id,
+                    ...result.metadata
+                },
+                duration_ms: result.duration,
+                target_duration_ms: targetDurationMs || undefined,
+                tagged
+            });
+            console.log(`🗂️ Traccia ${spotifyId} registrata nell'indice.`);
+        }
+        return result;
+    }
+}
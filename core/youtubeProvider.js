@@ -0,0 +1,61 @@
+/**
+ * Sorgente audio YouTube per la ProviderChain: ricerca con yt-dlp e punteggio dei video,
+ * download e streaming progressivo tramite YoutubeAPI.
+ */
+export default class YoutubeProvider {
+    /**
+     * @param {import('./youtube.js').default} youtubeAPI
+     */
+    constructor(youtubeAPI) {
+        this.name = 'youtube';
+        this.youtubeAPI = youtubeAPI;
+    }
+
+    /**
+     * @param {import('./providerChain.js').TrackQuery} track
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<import('./providerChain.js').Candidate[]>}
+     */
+    async searchCandidates(track, options = {}) {
+        const ranked = await this.youtubeAPI.searchCandidates(track.query, track.durationMs, {
+            spotifyId: track.spotifyId,
+            title: track.title,
+            artist: track.artist,
+            signal: options.signal
+        });
+        return ranked.map(({ video, score, breakdown, override }) => ({
+            id: video.id,
+            title: video.title,
+            score,
+            breakdown,
+            override: Boolean(override),
+            video
+        }));
+    }
+
+    /**
+     * @param {import('./providerChain.js').Candidate} candidate
+     * @param {string} outputPath
+     * @param {import('./providerChain.js').TrackQuery} track
+     * @param {{signal?: AbortSignal}} [options]
+     */
+    async fetchAudio(candidate, outputPath, track, options = {}) {
+        const match = candidate.override
+            ? { score: candidate.score, override: true }
+            : { score: candidate.score, breakdown: candidate.breakdown };
+        return this.youtubeAPI.downloadVideo({ ...candidate.video, match }, outputPath, {
+            targetDurationMs: track.durationMs,
+            spotifyId: track.spotifyId,
+            signal: options.signal
+        });
+    }
+
+    // Streaming mentre yt-dlp scarica (vedi YoutubeAPI.startProgressiveDownload)
+    startProgressive(track, outputPath) {
+        return this.youtubeAPI.startProgressiveDownload(track.query, track.durationMs, outputPath, {
+            spotifyId: track.spotifyId,
+            title: track.title,
+            artist: track.artist
+        });
+    }
+}
@@ -0,0 +1,218 @@
+// Scrittura in streaming di archivi ZIP (APPNOTE 6.3): le voci sono "stored" (senza
+// compressione, l'audio è già compresso) e l'archivio non viene mai tenuto in memoria.
+// ZIP64 viene usato solo per offset oltre i 4 GB o più di 65535 voci.
+
+const READ_CHUNK_BYTES = 256 * 1024;
+const UINT32_MAX = 0xFFFFFFFF;
+const UINT16_MAX = 0xFFFF;
+// Bit 11: nomi dei file in UTF-8
+const FLAG_UTF8 = 0x0800;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+// "Made by" Unix, per i permessi in external attributes
+const VERSION_MADE_BY = (3 << 8) | VERSION_ZIP64;
+const UNIX_FILE_MODE = 0o100644;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ UINT32_MAX;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ UINT32_MAX) >>> 0;
+}
+
+// Data e ora nel formato MS-DOS (risoluzione di 2 secondi, dal 1980)
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Scrive un archivio ZIP su uno stream (tipicamente la risposta HTTP), rispettando la backpressure.
+ * Se lo stream viene chiuso (client disconnesso) le scritture successive falliscono con {aborted: true}.
+ */
+export default class ZipWriter {
+    /**
+     * @param {import('stream').Writable} output
+     */
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+        this.finished = false;
+    }
+
+    async _write(chunk) {
+        if (this.output.destroyed || this.output.writableEnded) {
+            throw { success: false, aborted: true, message: 'Stream di destinazione chiuso.' };
+        }
+        this.offset += chunk.length;
+        if (!this.output.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    this.output.off('drain', onDrain);
+                    this.output.off('close', onClose);
+                };
+                const onDrain = () => { cleanup(); resolve(); };
+                const onClose = () => { cleanup(); reject({ success: false, aborted: true, message: 'Stream di destinazione chiuso.' }); };
+                this.output.on('drain', onDrain);
+                this.output.on('close', onClose);
+            });
+        }
+    }
+
+    async _writeLocalHeader(name, { crc, size, modified }) {
+        if (this.finished) {
+            throw new Error('Archivio ZIP già chiuso.');
+        }
+        if (size >= UINT32_MAX) {
+            throw new Error(`File troppo grande per l'archivio: ${name}`);
+        }
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = dosDateTime(modified || new Date());
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(VERSION_DEFAULT, 4);
+        header.writeUInt16LE(FLAG_UTF8, 6);
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(size, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        this.entries.push({ nameBuffer, crc, size, time, date, offset: this.offset });
+        await this._write(Buffer.concat([header, nameBuffer]));
+    }
+
+    /**
+     * Aggiunge una voce a partire da un buffer in memoria (playlist, copertina...).
+     * @param {string} name - Percorso nell'archivio, con "/" come separatore
+     * @param {Buffer} data
+     * @param {{modified?: Date}} [options]
+     */
+    async addBuffer(name, data, options = {}) {
+        await this._writeLocalHeader(name, { crc: crc32(data), size: data.length, modified: options.modified });
+        await this._write(data);
+    }
+
+    /**
+     * Aggiunge un file da disco. Il file viene letto due volte (CRC, poi contenuto) dallo
+     * stesso descrittore, così una sostituzione concorrente del file non corrompe la voce.
+     * @param {string} name - Percorso nell'archivio
+     * @param {import('fs').promises.FileHandle} handle - File aperto in lettura
+     */
+    async addFileHandle(name, handle) {
+        const stats = await handle.stat();
+        const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+
+        let crc = 0;
+        for (let position = 0; position < stats.size;) {
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+            if (bytesRead === 0) break;
+            crc = crc32(buffer.subarray(0, bytesRead), crc);
+            position += bytesRead;
+        }
+
+        await this._writeLocalHeader(name, { crc, size: stats.size, modified: stats.mtime });
+        for (let position = 0; position < stats.size;) {
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+            if (bytesRead === 0) break;
+            // Copia: il buffer di lettura viene riutilizzato mentre lo stream può ancora tenerlo in coda
+            await this._write(Buffer.from(buffer.subarray(0, bytesRead)));
+            position += bytesRead;
+        }
+    }
+
+    // Scrive la central directory e chiude lo stream
+    async finish() {
+        const centralStart = this.offset;
+        for (const entry of this.entries) {
+            const zip64 = entry.offset >= UINT32_MAX;
+            const extra = zip64 ? Buffer.alloc(12) : Buffer.alloc(0);
+            if (zip64) {
+                extra.writeUInt16LE(0x0001, 0);
+                extra.writeUInt16LE(8, 2);
+                extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+            }
+
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(VERSION_MADE_BY, 4);
+            header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+            header.writeUInt16LE(FLAG_UTF8, 8);
+            header.writeUInt16LE(0, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.size, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBuffer.length, 28);
+            header.writeUInt16LE(extra.length, 30);
+            header.writeUInt16LE(0, 32); // commento
+            header.writeUInt16LE(0, 34); // disco
+            header.writeUInt16LE(0, 36); // attributi interni
+            header.writeUInt32LE((UNIX_FILE_MODE << 16) >>> 0, 38);
+            header.writeUInt32LE(zip64 ? UINT32_MAX : entry.offset, 42);
+            await this._write(Buffer.concat([header, entry.nameBuffer, extra]));
+        }
+
+        const centralSize = this.offset - centralStart;
+        const count = this.entries.length;
+        const needsZip64 = count >= UINT16_MAX || centralStart >= UINT32_MAX || centralSize >= UINT32_MAX;
+
+        if (needsZip64) {
+            const zip64EndOffset = this.offset;
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(0x06064b50, 0);
+            record.writeBigUInt64LE(44n, 4);
+            record.writeUInt16LE(VERSION_MADE_BY, 12);
+            record.writeUInt16LE(VERSION_ZIP64, 14);
+            record.writeUInt32LE(0, 16);
+            record.writeUInt32LE(0, 20);
+            record.writeBigUInt64LE(BigInt(count), 24);
+            record.writeBigUInt64LE(BigInt(count), 32);
+            record.writeBigUInt64LE(BigInt(centralSize), 40);
+            record.writeBigUInt64LE(BigInt(centralStart), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeUInt32LE(0, 4);
+            locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+            locator.writeUInt32LE(1, 16);
+            await this._write(Buffer.concat([record, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(0, 4);
+        end.writeUInt16LE(0, 6);
+        end.writeUInt16LE(Math.min(count, UINT16_MAX), 8);
+        end.writeUInt16LE(Math.min(count, UINT16_MAX), 10);
+        end.writeUInt32LE(Math.min(centralSize, UINT32_MAX), 12);
+        end.writeUInt32LE(Math.min(centralStart, UINT32_MAX), 16);
+        end.writeUInt16LE(0, 20);
+        await this._write(end);
+
+        this.finished = true;
+        await new Promise(resolve => this.output.end(resolve));
+    }
+}
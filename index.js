@@ -2,8 +2,37 @@ import express from 'express';
 import cors from 'cors';
 import session from 'express-session';
 import crypto from 'crypto';
-import SpotifyAPI from './core/spotify.js';
+import SpotifyAPI, { PAGE_SIZES } from './core/spotify.js';
+import { parsePageQuery } from './core/paging.js';
 import YoutubeAPI from './core/youtube.js';
+import YoutubeProvider from './core/youtubeProvider.js';
+import LocalFolderProvider from './core/localFolderProvider.js';
+import ProviderChain from './core/providerChain.js';
+import { sendAudioFile, sendProgressiveStream } from './core/rangeStream.js';
+import TrackIndex, { isValidSpotifyId } from './core/trackIndex.js';
+import SingleFlight from './core/singleFlight.js';
+import DownloadQueue from './core/downloadQueue.js';
+import CacheManager from './core/cacheManager.js';
+import Transcoder, { parseVariant, ORIGINAL_VARIANT } from './core/transcoder.js';
+import MatchOverrides from './core/matchOverrides.js';
+import Tagger from './core/tagger.js';
+import LoudnessAnalyzer, { loudnessHeaders } from './core/loudness.js';
+import LibraryScanner from './core/libraryScanner.js';
+import HlsPackager from './core/hlsPackager.js';
+import ArchiveExporter from './core/archiveExporter.js';
+import WaveformCache from './core/waveform.js';
+import StreamSigner from './core/streamSigner.js';
+import createCacheRouter from './route/cache.js';
+import createDownloadsRouter from './route/downloads.js';
+import createMatchesRouter from './route/matches.js';
+import createTracksRouter from './route/tracks.js';
+import createLibraryRouter from './route/library.js';
+import createHlsRouter from './route/hls.js';
+import createArchivesRouter from './route/archives.js';
+import createWaveformRouter from './route/waveform.js';
+import createStreamTokensRouter from './route/streamTokens.js';
+import createPlaylistsRouter from './route/playlists.js';
+import createSavedItemsRouter from './route/savedItems.js';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -28,7 +57,10 @@ app.use(cors({
     'https://freesound-front-end-git-main-paradis.vercel.app/', 
     'https://freesound-front-end-git-main-paradis.trycloudflare.com/', 
     'https://totalwebhub.com/'],
-    credentials: true
+    credentials: true,
+    // Header di /stream e degli archivi leggibili dal browser
+    exposedHeaders: ['X-ReplayGain-Track-Gain', 'X-ReplayGain-Track-Peak', 'X-Loudness-Integrated', 'X-Normalization-Gain',
+        'X-Archive-Missing-Tracks']
 }));
 app.use(express.json());
 
@@ -59,13 +91,77 @@ app.use(session({
 
 // Inizializza le API
 const spotifyAPI = new SpotifyAPI();
-const youtubeAPI = new YoutubeAPI();
 
 const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
 if (!fs.existsSync(DOWNLOADS_DIR)){
     fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
 }
 
+// Indice delle tracce scaricate (spotify_id -> file), condiviso da /stream e YoutubeAPI
+const trackIndex = new TrackIndex(redisClient, DOWNLOADS_DIR);
+// Un solo download per traccia alla volta, anche con più processi Node sullo stesso Redis
+const downloadSingleFlight = new SingleFlight(redisClient, { prefix: 'freesound-lock:' });
+// Correzioni manuali dell'abbinamento Spotify -> YouTube (override e segnalazioni)
+const matchOverrides = new MatchOverrides(redisClient);
+// Tag ID3 e copertina da Spotify nei file scaricati
+const tagger = new Tagger({ spotifyAPI });
+const youtubeAPI = new YoutubeAPI({ trackIndex, singleFlight: downloadSingleFlight, matchOverrides, tagger });
+
+// Sorgenti audio in ordine di priorità (AUDIO_PROVIDERS=local,youtube): si passa alla successiva
+// se una fallisce o non trova un candidato con punteggio >= AUDIO_PROVIDER_MIN_SCORE
+const audioProviders = { youtube: new YoutubeProvider(youtubeAPI) };
+if (process.env.LOCAL_MUSIC_DIR) {
+    audioProviders.local = new LocalFolderProvider({ rootDir: process.env.LOCAL_MUSIC_DIR, trackIndex });
+}
+const providerOrder = (process.env.AUDIO_PROVIDERS || (audioProviders.local ? 'local,youtube' : 'youtube'))
+    .split(',').map(name => name.trim()).filter(Boolean);
+providerOrder.filter(name => !audioProviders[name])
+    .forEach(name => console.warn(`⚠️ Sorgente audio "${name}" sconosciuta o non configurata, ignorata.`));
+const audioSource = new ProviderChain(providerOrder.map(name => audioProviders[name]).filter(Boolean), {
+    trackIndex,
+    singleFlight: downloadSingleFlight,
+    minScore: process.env.AUDIO_PROVIDER_MIN_SCORE !== undefined ? parseFloat(process.env.AUDIO_PROVIDER_MIN_SCORE) : undefined
+});
+
+// Importazione di una libreria musicale già posseduta (LIBRARY_IMPORT_DIR, di default LOCAL_MUSIC_DIR)
+const libraryImportDir = process.env.LIBRARY_IMPORT_DIR || process.env.LOCAL_MUSIC_DIR;
+const libraryScanner = libraryImportDir
+    ? new LibraryScanner(redisClient, spotifyAPI, trackIndex, { rootDir: libraryImportDir })
+    : null;
+
+// Analisi EBU R128 delle tracce scaricate (header ReplayGain e /stream?normalize=1)
+const loudnessAnalyzer = new LoudnessAnalyzer(trackIndex);
+
+// Varianti formato/bitrate per /stream?format=&bitrate=&normalize=
+const transcoder = new Transcoder({ trackIndex, singleFlight: downloadSingleFlight, loudnessAnalyzer });
+// Renditions HLS (AAC a più bitrate) per /stream/:spotify_id/playlist.m3u8
+const hlsPackager = new HlsPackager({ trackIndex, singleFlight: downloadSingleFlight });
+// Picchi della waveform per /stream/:spotify_id/peaks
+const waveformCache = new WaveformCache({ trackIndex, singleFlight: downloadSingleFlight });
+
+// Limiti della cache su disco (0 = nessun limite)
+const cacheManager = new CacheManager(redisClient, trackIndex, {
+    maxBytes: (parseInt(process.env.CACHE_MAX_SIZE_MB, 10) || 0) * 1024 * 1024,
+    maxAgeMs: (parseInt(process.env.CACHE_MAX_AGE_DAYS, 10) || 0) * 24 * 3600 * 1000
+});
+
+// URL di stream firmati e a scadenza (POST /api/stream-token); con STREAM_REQUIRE_SIGNATURE=true
+// le richieste a /stream senza firma né sessione vengono rifiutate
+const streamSigner = new StreamSigner(redisClient, {
+    secret: process.env.STREAM_SIGNING_SECRET || process.env.SESSION_SECRET,
+    ttlMs: (parseInt(process.env.STREAM_URL_TTL_SECONDS, 10) || 0) * 1000
+});
+const requireSignedStreams = process.env.STREAM_REQUIRE_SIGNATURE === 'true';
+
+// Archivi ZIP di album e playlist (tracce scaricate e taggate prima dell'invio)
+const archiveExporter = new ArchiveExporter({ spotifyAPI, audioSource, trackIndex, tagger });
+
+// Coda dei download in background (persistita su Redis)
+const downloadQueue = new DownloadQueue(redisClient, audioSource, trackIndex, {
+    concurrency: parseInt(process.env.DOWNLOAD_QUEUE_CONCURRENCY, 10) || 2,
+    maxRetries: process.env.DOWNLOAD_QUEUE_MAX_RETRIES !== undefined ? parseInt(process.env.DOWNLOAD_QUEUE_MAX_RETRIES, 10) : 3
+});
+
 // === NUOVI ENDPOINT PER AUTENTICAZIONE SPOTIFY ===
 const STATE_KEY = 'spotify_auth_state';
 
@@ -87,7 +183,8 @@ app.get('/auth/url', (req, res) => {
         crud: [
             'playlist-modify-public',
             'playlist-modify-private',
-            'user-library-modify'
+            'user-library-modify',
+            'ugc-image-upload'
         ]
     };
 
@@ -132,7 +229,8 @@ app.get('/auth/login', (req, res) => {
         crud: [
             'playlist-modify-public',
             'playlist-modify-private',
-            'user-library-modify'
+            'user-library-modify',
+            'ugc-image-upload'
         ]
     };
 
@@ -234,6 +332,8 @@ app.post('/auth/exchange', async (req, res) => {
 
 app.get('/auth/logout', (req, res) => {
     const sessionId = req.sessionID;
+    streamSigner.revokeSession(sessionId)
+        .catch(err => console.warn('Impossibile revocare gli URL di stream della sessione:', err.message));
     req.session.destroy(err => {
         if (err) {
             console.error("Errore durante la distruzione della sessione:", err);
@@ -266,8 +366,11 @@ app.get('/auth/status', async (req, res) => {
 
 // === ENDPOINT API ESISTENTI (modificati o meno) ===
 
+// Mercato Spotify della richiesta in req.market: paese dell'utente loggato, altrimenti ?market= o il default
+const withMarket = spotifyAPI.marketMiddleware();
+
 // Endpoint di ricerca (POST)
-app.post('/search', async (req, res) => {
+app.post('/search', withMarket, async (req, res) => {
     console.log('Richiesta POST /search ricevuta con body:', req.body);
     try {
         const { query } = req.body;
@@ -278,7 +381,7 @@ app.post('/search', async (req, res) => {
         const decodedQuery = decodeURIComponent(query);
         
         // Usa la nuova ricerca multi-tipo
-        const searchResult = await spotifyAPI.searchTrack(decodedQuery, 20);
+        const searchResult = await spotifyAPI.searchTrack(decodedQuery, 20, req.market);
         
         if (!searchResult.success) {
             return res.status(404).json({ error: searchResult.message || 'Nessun risultato trovato' });
@@ -304,52 +407,85 @@ app.post('/search', async (req, res) => {
     }
 });
 
-// Endpoint di streaming (GET con ID Spotify nel path e dettagli nella query)
-app.get('/stream/:spotify_id', async (req, res) => {
+// Streaming progressivo (audio inviato mentre yt-dlp scarica ancora): attivo di default con
+// PROGRESSIVE_STREAMING=true, sovrascrivibile per richiesta con ?progressive=1|0
+const PROGRESSIVE_STREAMING = process.env.PROGRESSIVE_STREAMING === 'true';
+
+const isProgressiveRequest = (req) => {
+    if (req.method !== 'GET') return false;
+    if (req.query.progressive === undefined) return PROGRESSIVE_STREAMING;
+    return req.query.progressive === '1' || req.query.progressive === 'true';
+};
+
+// Firma degli URL per tutti i percorsi /stream/:spotify_id/... (audio, HLS, waveform)
+app.use('/stream/:spotify_id', streamSigner.middleware({ required: requireSignedStreams }));
+
+// Endpoint di streaming: basta l'ID Spotify, i metadati per la ricerca vengono risolti dal server.
+// title, artist e duration_ms nella query sono ancora accettati (vecchi client) ma ignorati:
+// altrimenti un client potrebbe associare una ricerca qualsiasi a un ID Spotify.
+app.get('/stream/:spotify_id', withMarket, async (req, res) => {
     console.log(`Richiesta GET /stream/${req.params.spotify_id} ricevuta con query:`, req.query);
     try {
         const { spotify_id } = req.params;
-        const { title, artist, duration_ms } = req.query;
-
-        if (!spotify_id || !title || !artist || !duration_ms) {
-            return res.status(400).send('Parametri mancanti (spotify_id, title, artist, duration_ms)');
-        }
-
-        const parsedDurationMs = parseInt(duration_ms, 10);
-        if (isNaN(parsedDurationMs)) {
-            return res.status(400).send('duration_ms non valida');
-        }
-
-        let fileName = `${artist} - ${title}.mp3`;
-        fileName = fileName.replace(/[^a-zA-Z0-9\s\-\.]/g, '').replace(/\s+/g, ' ').trim();
-        const filePath = path.join(DOWNLOADS_DIR, fileName);
-
-        console.log(`Percorso file richiesto: ${filePath}`);
-
-        if (fs.existsSync(filePath)) {
-            console.log(`File trovato in cache: ${fileName}. Streaming...`);
-            res.set({
-                'Content-Type': 'audio/mpeg',
-                'Content-Disposition': `inline; filename="${encodeURIComponent(fileName)}"`,
-                'Accept-Ranges': 'bytes'
-            });
-            const stream = fs.createReadStream(filePath);
-            stream.on('error', (err) => {
-                console.error('Errore durante lo streaming del file dalla cache:', err);
-                if (!res.headersSent) {
-                    res.status(500).send('Errore durante lo streaming del file.');
-                }
-                stream.destroy();
-            });
-            stream.pipe(res);
+        if (!isValidSpotifyId(spotify_id)) {
+            return res.status(400).send('spotify_id non valido');
+        }
+
+        const { variant, error: variantError } = parseVariant(req.query.format, req.query.bitrate, req.query.normalize);
+        if (variantError) {
+            return res.status(400).send(variantError);
+        }
+
+        let track = null;
+        let lookupError = null;
+        try {
+            track = await spotifyAPI.getTrack(spotify_id, req.market);
+        } catch (error) {
+            // Spotify non raggiungibile: le tracce già in cache si possono servire comunque
+            lookupError = error;
+            console.warn(`⚠️ Metadati Spotify non disponibili per ${spotify_id}:`, error.message);
+        }
+
+        const cachedEntry = await trackIndex.resolve(spotify_id)
+            || (track && await trackIndex.adoptLegacyFile(spotify_id, track.artist, track.name));
+        if (!cachedEntry && !track) {
+            return lookupError
+                ? res.status(503).send('Metadati della traccia non disponibili, riprova più tardi')
+                : res.status(404).send('Traccia non trovata su Spotify');
+        }
+
+        // Nome usato solo per Content-Disposition: il file su disco è indicizzato per spotify_id
+        const fileName = track ? `${track.artist} - ${track.name}.${variant.extension}` : `${spotify_id}.${variant.extension}`;
+        const downloadOptions = track && { spotifyId: spotify_id, title: track.name, artist: track.artist, isrc: track.isrc };
+
+        if (cachedEntry) {
+            console.log(`File trovato in cache per ${spotify_id}: ${cachedEntry.path}. Streaming...`);
+            trackIndex.touch(spotify_id).catch(err => console.warn('Impossibile aggiornare ultimo accesso:', err.message));
+        } else if (isProgressiveRequest(req) && variant.key === ORIGINAL_VARIANT.key) {
+            console.log(`Traccia ${spotify_id} non in cache. Download progressivo (sorgenti: ${audioSource.names.join(' > ')})...`);
+
+            const { job, result } = await audioSource.startProgressiveDownload(
+                `${track.artist} ${track.name}`,
+                track.duration,
+                trackIndex.filePathFor(spotify_id),
+                downloadOptions
+            );
+
+            if (job) {
+                await sendProgressiveStream(req, res, job, { fileName });
+                console.log(`Download progressivo di ${spotify_id} completato e salvato in cache.`);
+                return;
+            }
+            console.log(`Traccia ${spotify_id} scaricata da un'altra richiesta: ${result.path}. Streaming...`);
         } else {
-            console.log(`File non trovato: ${fileName}. Download da YouTube in corso...`);
+            console.log(`Traccia ${spotify_id} non in cache. Download in corso (sorgenti: ${audioSource.names.join(' > ')})...`);
             
-            const youtubeQuery = `${artist} ${title}`;
-            const youtubeResult = await youtubeAPI.searchAndDownload(
+            const youtubeQuery = `${track.artist} ${track.name}`;
+            const youtubeResult = await audioSource.searchAndDownload(
                 youtubeQuery,
-                parsedDurationMs,
-                filePath
+                track.duration,
+                trackIndex.filePathFor(spotify_id),
+                downloadOptions
             );
 
             if (!youtubeResult.success || !youtubeResult.path) {
@@ -364,23 +500,18 @@ app.get('/stream/:spotify_id', async (req, res) => {
             }
 
             console.log(`File scaricato: ${youtubeResult.path}. Streaming...`);
-            res.set({
-                'Content-Type': 'audio/mpeg',
-                'Content-Disposition': `inline; filename="${encodeURIComponent(fileName)}"`,
-                'Accept-Ranges': 'bytes'
-            });
-            const stream = fs.createReadStream(youtubeResult.path);
-            stream.on('error', (err) => {
-                console.error('Errore durante lo streaming del file scaricato:', err);
-                if (!res.headersSent) {
-                    res.status(500).send('Errore durante lo streaming del file.');
-                }
-                stream.destroy();
-            });
-            stream.pipe(res);
         }
 
+        // Variante richiesta (formato/bitrate): transcodificata dalla migliore già in cache se manca
+        const audioFile = await transcoder.ensureVariant(spotify_id, variant);
+        const indexed = await trackIndex.get(spotify_id);
+        res.set(loudnessHeaders(indexed?.loudness, audioFile.gainDb));
+        await sendAudioFile(req, res, audioFile.path, { contentType: audioFile.contentType, fileName });
     } catch (error) {
+        if (error && error.aborted && res.headersSent) {
+            console.log(`Streaming di ${req.params.spotify_id} interrotto dal client, file parziale scartato.`);
+            return;
+        }
         console.error('Errore endpoint /stream:', error);
 
         let errorMessage = 'Errore sconosciuto durante lo streaming o il download.';
@@ -406,21 +537,48 @@ app.get('/stream/:spotify_id', async (req, res) => {
 
         if (!res.headersSent) {
             res.status(statusCode).send(errorMessage);
+        } else {
+            res.destroy();
         }
     }
 });
 
+// === STREAMING HLS ADATTIVO (master playlist, renditions e segmenti) ===
+app.use('/stream', createHlsRouter(spotifyAPI, audioSource, trackIndex, hlsPackager));
+
+// === WAVEFORM DELLE TRACCE IN CACHE (picchi min/max) ===
+app.use('/stream', createWaveformRouter(waveformCache));
+
+// === CODA DOWNLOAD IN BACKGROUND ===
+app.use('/downloads', createDownloadsRouter(downloadQueue, spotifyAPI));
+
+// === GESTIONE CACHE (statistiche, pin, eviction) ===
+// Pin ed eviction richiedono CACHE_ADMIN_TOKEN se impostato, altrimenti un utente autenticato
+app.use('/cache', createCacheRouter(cacheManager, { adminToken: process.env.CACHE_ADMIN_TOKEN }));
+
+// === CORREZIONE ABBINAMENTI YOUTUBE (override manuali, segnalazioni) ===
+app.use('/matches', createMatchesRouter(matchOverrides, trackIndex, downloadQueue, spotifyAPI));
+
+// === INFO TRACCE IN CACHE (sorgente, varianti, loudness) ===
+app.use('/tracks', createTracksRouter(trackIndex));
+
+// === IMPORTAZIONE LIBRERIA LOCALE (abbinamento dei file a Spotify) ===
+if (libraryScanner) {
+    // Stesso token di amministrazione delle modifiche alla cache
+    app.use('/library', createLibraryRouter(libraryScanner, { adminToken: process.env.CACHE_ADMIN_TOKEN }));
+}
+
 // === NUOVI ENDPOINT API PER PLAYLIST ===
 
 // Endpoint per dettagli artista
-app.get('/api/artists/:artistId', async (req, res) => {
+app.get('/api/artists/:artistId', withMarket, async (req, res) => {
     try {
         const { artistId } = req.params;
         if (!artistId) {
             return res.status(400).json({ error: 'ID artista richiesto' });
         }
 
-        const artistDetails = await spotifyAPI.getArtistDetails(artistId);
+        const artistDetails = await spotifyAPI.getArtistDetails(artistId, req.market);
         
         if (!artistDetails.success) {
             return res.status(404).json({ error: artistDetails.message || 'Artista non trovato' });
@@ -434,14 +592,14 @@ app.get('/api/artists/:artistId', async (req, res) => {
 });
 
 // Endpoint per dettagli album
-app.get('/api/albums/:albumId', async (req, res) => {
+app.get('/api/albums/:albumId', withMarket, async (req, res) => {
     try {
         const { albumId } = req.params;
         if (!albumId) {
             return res.status(400).json({ error: 'ID album richiesto' });
         }
 
-        const albumDetails = await spotifyAPI.getAlbumDetails(albumId);
+        const albumDetails = await spotifyAPI.getAlbumDetails(albumId, req.market);
         
         if (!albumDetails.success) {
             return res.status(404).json({ error: albumDetails.message || 'Album non trovato' });
@@ -454,13 +612,24 @@ app.get('/api/albums/:albumId', async (req, res) => {
     }
 });
 
+// URL di stream firmati per la sessione corrente
+app.use('/api', createStreamTokensRouter(streamSigner));
+
+// Album e playlist come archivio ZIP (file taggati, playlist M3U e copertina)
+app.use('/api', createArchivesRouter(archiveExporter, spotifyAPI));
+
 app.get('/api/me/playlists', async (req, res) => {
     // const tokens = await spotifyAPI.getUserTokens(req.sessionID);
     // if (!tokens || !tokens.access_token) {
     //     return res.status(401).json({ error: 'Utente non autenticato o token mancante.' });
     // }
+    // ?limit=&offset=, ?cursor= (next_cursor/previous_cursor di una risposta) oppure ?all=true
+    const { page, error: pageError } = parsePageQuery(req.query, { maxLimit: PAGE_SIZES.playlists });
+    if (pageError) {
+        return res.status(400).json({ error: pageError });
+    }
     try {
-        const playlists = await spotifyAPI.getUserPlaylists(req.session);
+        const playlists = await spotifyAPI.getUserPlaylists(req.session, page);
         res.json(playlists);
     } catch (error) {
         console.error('Errore nel recuperare le playlist dell\'utente:', error.message, error.response?.data);
@@ -499,8 +668,12 @@ app.get('/api/me/top/artists', async (req, res) => {
 
 // Endpoint per tracce preferite
 app.get('/api/me/tracks', async (req, res) => {
+    const { page, error: pageError } = parsePageQuery(req.query, { maxLimit: PAGE_SIZES.savedTracks });
+    if (pageError) {
+        return res.status(400).json({ error: pageError });
+    }
     try {
-        const tracks = await spotifyAPI.getUserSavedTracks(req.session);
+        const tracks = await spotifyAPI.getUserSavedTracks(req.session, page);
         res.json(tracks);
     } catch (error) {
         console.error('Errore nel recuperare tracce salvate dell\'utente:', error.message, error.response?.data);
@@ -512,23 +685,60 @@ app.get('/api/me/tracks', async (req, res) => {
     }
 });
 
+// Endpoint per album salvati
+app.get('/api/me/albums', async (req, res) => {
+    if (!req.session?.tokens) {
+        return res.status(401).json({ error: 'Utente non autenticato o token mancante.' });
+    }
+    const { page, error: pageError } = parsePageQuery(req.query, { maxLimit: PAGE_SIZES.savedAlbums });
+    if (pageError) {
+        return res.status(400).json({ error: pageError });
+    }
+    try {
+        const albums = await spotifyAPI.getUserSavedAlbums(req.session, page);
+        if (!albums.success) {
+            if (albums.error?.status === 401) {
+                delete req.session.tokens;
+                return res.status(401).json({ error: 'Token Spotify non valido o scaduto. Riprova l\'autenticazione.' });
+            }
+            return res.status(500).json({ error: 'Errore interno del server nel recuperare album salvati.' });
+        }
+        const { success, ...envelope } = albums;
+        res.json(envelope);
+    } catch (error) {
+        console.error('Errore nel recuperare album salvati dell\'utente:', error.message, error.response?.data);
+        if (error.status === 401 || error.response?.status === 401) {
+            delete req.session.tokens;
+            return res.status(401).json({ error: 'Token Spotify non valido o scaduto. Riprova l\'autenticazione.' });
+        }
+        res.status(500).json({ error: 'Errore interno del server nel recuperare album salvati.' });
+    }
+});
+
+// Salvataggio e rimozione di tracce e album dalla libreria dell'utente (scope crud)
+app.use('/api/me', createSavedItemsRouter(spotifyAPI));
+
 // Endpoint per tracce di una playlist specifica
-app.get('/api/playlists/:playlistId/tracks', async (req, res) => {
+app.get('/api/playlists/:playlistId/tracks', withMarket, async (req, res) => {
     try {
         const { playlistId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
         
         if (!playlistId) {
             return res.status(400).json({ error: 'ID playlist richiesto' });
         }
+        const { page, error: pageError } = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: PAGE_SIZES.playlistTracks });
+        if (pageError) {
+            return res.status(400).json({ error: pageError });
+        }
 
-        const playlistTracks = await spotifyAPI.getPlaylistTracks(playlistId, limit, offset);
+        const playlistTracks = await spotifyAPI.getPlaylistTracks(playlistId, page, req.market);
         
         if (!playlistTracks.success) {
             return res.status(404).json({ error: playlistTracks.message || 'Playlist non trovata' });
         }
 
-        res.json(playlistTracks);
+        const { success, ...envelope } = playlistTracks;
+        res.json(envelope);
     } catch (error) {
         console.error('Errore nel recuperare tracce playlist:', error.message, error.response?.data);
         if (error.response?.status === 401) {
@@ -539,8 +749,11 @@ app.get('/api/playlists/:playlistId/tracks', async (req, res) => {
     }
 });
 
+// Creazione e modifica delle playlist dell'utente (scope crud); dopo la GET pubblica delle tracce
+app.use('/api/playlists', createPlaylistsRouter(spotifyAPI));
+
 // Endpoint per ottenere playlist consigliate basate su una traccia
-app.get('/api/recommendations/playlists', async (req, res) => {
+app.get('/api/recommendations/playlists', withMarket, async (req, res) => {
     try {
         const { seed_tracks, seed_artists, seed_genres } = req.query;
         
@@ -552,7 +765,8 @@ app.get('/api/recommendations/playlists', async (req, res) => {
             seed_tracks,
             seed_artists, 
             seed_genres,
-            limit: 20
+            limit: 20,
+            market: req.market
         });
         
         if (!recommendations.success) {
@@ -583,29 +797,29 @@ app.get('/api/home/content', async (req, res) => {
             savedAlbumsData,
             userTopTracksData
         ] = await Promise.all([
-            spotifyAPI.getUserPlaylists(req.session, { limit: 10 })
-                .catch(e => { console.error('Error playlists:', e); return { playlists: [] }; }),
+            spotifyAPI.getUserPlaylists(req.session, { limit: 10, offset: 0 })
+                .catch(e => { console.error('Error playlists:', e); return { items: [] }; }),
             spotifyAPI.getUserTopArtists(req.session, { limit: 10 })
                 .catch(e => { console.error('Error top artists:', e); return []; }),
             spotifyAPI.getUserSavedAlbums(req.session)
-                .catch(e => { console.error('Error saved albums:', e); return { albums: [] }; }),
+                .catch(e => { console.error('Error saved albums:', e); return { items: [] }; }),
             spotifyAPI.getUserTopTracks(req.session, { limit: 10 })
                 .catch(e => { console.error('Error top tracks:', e); return []; })
         ]);
 
         console.log('Dati recuperati:', {
-            playlists: userPlaylistsData?.playlists?.length,
+            playlists: userPlaylistsData?.items?.length,
             topArtists: userTopArtistsData?.length,
-            albums: savedAlbumsData?.albums?.length,
+            albums: savedAlbumsData?.items?.length,
             topTracks: userTopTracksData?.length
         });
 
         const response = {};
 
-        if (userPlaylistsData?.playlists?.length > 0) {
+        if (userPlaylistsData?.items?.length > 0) {
             response.userPlaylists = {
                 title: 'Le tue Playlist',
-                items: userPlaylistsData.playlists
+                items: userPlaylistsData.items
             };
         }
 
@@ -616,10 +830,10 @@ app.get('/api/home/content', async (req, res) => {
             };
         }
 
-        if (savedAlbumsData?.albums?.length > 0) {
+        if (savedAlbumsData?.items?.length > 0) {
             response.savedAlbums = {
                 title: 'Album Salvati',
-                items: savedAlbumsData.albums
+                items: savedAlbumsData.items
             };
         }
 
@@ -675,6 +889,10 @@ app.get('/api/me', async (req, res) => {
 // Avvio server
 app.listen(port, () => {
     console.log(`Server in ascolto su http://localhost:${port}`);
+    cacheManager.start().catch(err => console.error('Impossibile avviare il cache manager:', err));
+    downloadQueue.start().catch(err => console.error('Impossibile avviare la coda download:', err));
+    loudnessAnalyzer.start();
+    audioProviders.local?.scan().catch(err => console.error('Impossibile indicizzare la cartella locale:', err));
     console.log(`Assicurati che SPOTIFY_CLIENT_ID, SPOTIFY_SECRET_ID, e SPOTIFY_REDIRECT_URI siano configurati nel file .env`);
     console.log(`SPOTIFY_REDIRECT_URI dovrebbe essere: http://localhost:${port}/auth/callback`);
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+import express from 'express';
+
+// Tutte le tracce vanno scaricate prima di inviare lo ZIP: oltre questo numero l'archivio
+// terrebbe occupati i download (e la connessione) troppo a lungo
+const MAX_ARCHIVE_TRACKS = 200;
+
+// Crea e ritorna il router per scaricare album e playlist come archivi ZIP (montato su /api).
+// Richiede l'archiveExporter (download delle tracce mancanti e scrittura dello ZIP)
+// e spotifyAPI per il mercato della richiesta.
+export default function createArchivesRouter(archiveExporter, spotifyAPI) {
+    const router = express.Router();
+    const withMarket = spotifyAPI.marketMiddleware();
+
+    // Un archivio fa scaricare e inviare l'audio di intere raccolte: come per /stream
+    // non basta conoscere l'URL, serve un utente autenticato
+    const requireSession = (req, res, next) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per scaricare un archivio.' });
+        }
+        next();
+    };
+
+    const sendArchive = async (req, res, label, loadCollection) => {
+        // Il client che chiude la connessione interrompe anche i download ancora da fare
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        try {
+            const collection = await loadCollection();
+            if (!collection) {
+                return res.status(404).json({ error: `${label} non trovato.` });
+            }
+            if (collection.tracks.length === 0) {
+                return res.status(404).json({ error: `${label} senza tracce.` });
+            }
+            const count = Math.max(collection.tracks.length, collection.total || 0);
+            if (count > MAX_ARCHIVE_TRACKS) {
+                return res.status(413).json({ error: `Archivio troppo grande: massimo ${MAX_ARCHIVE_TRACKS} tracce, ${label.toLowerCase()} ne contiene ${count}.` });
+            }
+
+            console.log(`🗜️ Archivio "${collection.name}": preparazione di ${collection.tracks.length} tracce...`);
+            const prepared = await archiveExporter.prepare(collection.tracks, { signal: controller.signal });
+            if (prepared.ready.length === 0) {
+                return res.status(502).json({
+                    error: 'Nessuna traccia disponibile per l\'archivio.',
+                    missing: prepared.missing.map(({ track, error }) => ({ spotify_id: track.spotify_id, name: track.name, error }))
+                });
+            }
+
+            const fileName = `${collection.folder}.zip`;
+            res.status(200).set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+                'X-Archive-Missing-Tracks': String(prepared.missing.length)
+            });
+            await archiveExporter.writeArchive(res, collection, prepared);
+            console.log(`✅ Archivio "${collection.name}" inviato: ${prepared.ready.length} tracce, ${prepared.missing.length} mancanti.`);
+        } catch (error) {
+            if (error?.aborted) {
+                console.log(`Archivio di ${req.originalUrl} interrotto dal client.`);
+                return;
+            }
+            console.error(`Errore GET ${req.originalUrl}:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: error?.message || 'Errore nella creazione dell\'archivio.' });
+            } else {
+                res.destroy();
+            }
+        }
+    };
+
+    router.get('/albums/:albumId/archive', requireSession, withMarket, (req, res) =>
+        sendArchive(req, res, 'Album', () => archiveExporter.loadAlbum(req.params.albumId, req.market)));
+
+    router.get('/playlists/:playlistId/archive', requireSession, withMarket, (req, res) =>
+        sendArchive(req, res, 'Playlist', () => archiveExporter.loadPlaylist(req.params.playlistId, req.market)));
+
+    return router;
+}
@@ -0,0 +1,66 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { requireAdmin as adminMiddleware } from '../core/adminAuth.js';
+
+// Crea e ritorna il router per la gestione della cache dei download.
+// Richiede il cacheManager (eviction, pin) per operare; con adminToken le operazioni che
+// modificano la cache vogliono "Authorization: Bearer <adminToken>", altrimenti una sessione.
+export default function createCacheRouter(cacheManager, { adminToken } = {}) {
+    const router = express.Router();
+    const requireAdmin = adminMiddleware(adminToken, 'Autenticazione richiesta per modificare la cache.');
+
+    router.get('/stats', async (req, res) => {
+        try {
+            res.json(await cacheManager.stats());
+        } catch (error) {
+            console.error('Errore GET /cache/stats:', error);
+            res.status(500).json({ error: 'Errore nel recupero delle statistiche della cache.' });
+        }
+    });
+
+    router.get('/pins', async (req, res) => {
+        try {
+            res.json({ pinned: [...await cacheManager.pinnedIds()] });
+        } catch (error) {
+            console.error('Errore GET /cache/pins:', error);
+            res.status(500).json({ error: 'Errore nel recupero delle tracce pinnate.' });
+        }
+    });
+
+    // Una traccia pinnata non viene mai rimossa dall'eviction
+    router.put('/pins/:spotify_id', requireAdmin, async (req, res) => {
+        const { spotify_id } = req.params;
+        if (!isValidSpotifyId(spotify_id)) {
+            return res.status(400).json({ error: 'spotify_id non valido.' });
+        }
+        try {
+            await cacheManager.pin(spotify_id);
+            res.status(204).send();
+        } catch (error) {
+            console.error(`Errore PUT /cache/pins/${spotify_id}:`, error);
+            res.status(500).json({ error: 'Errore nel pin della traccia.' });
+        }
+    });
+
+    router.delete('/pins/:spotify_id', requireAdmin, async (req, res) => {
+        const { spotify_id } = req.params;
+        try {
+            await cacheManager.unpin(spotify_id);
+            res.status(204).send();
+        } catch (error) {
+            console.error(`Errore DELETE /cache/pins/${spotify_id}:`, error);
+            res.status(500).json({ error: 'Errore nella rimozione del pin.' });
+        }
+    });
+
+    router.post('/evict', requireAdmin, async (req, res) => {
+        try {
+            res.json(await cacheManager.evict());
+        } catch (error) {
+            console.error('Errore POST /cache/evict:', error);
+            res.status(500).json({ error: "Errore durante l'eviction della cache." });
+        }
+    });
+
+    return router;
+}
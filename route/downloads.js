@@ -0,0 +1,158 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { getAlbumTracks, getPlaylistTracksAll } from '../core/collectionTracks.js';
+
+const MAX_TRACKS_PER_JOB = 500;
+
+// Crea e ritorna il router per la coda dei download in background.
+// Richiede la downloadQueue e spotifyAPI per risolvere i metadati delle tracce.
+export default function createDownloadsRouter(downloadQueue, spotifyAPI) {
+    const router = express.Router();
+    const withMarket = spotifyAPI.marketMiddleware();
+
+    // Ogni job fa scaricare e convertire audio al server: serve un utente autenticato
+    const requireSession = (req, res, next) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per avviare download.' });
+        }
+        next();
+    };
+
+    router.post('/', requireSession, withMarket, async (req, res) => {
+        try {
+            const { spotify_ids } = req.body || {};
+            if (!Array.isArray(spotify_ids) || spotify_ids.length === 0) {
+                return res.status(400).json({ error: 'spotify_ids deve essere una lista non vuota.' });
+            }
+            const ids = [...new Set(spotify_ids)];
+            if (ids.length > MAX_TRACKS_PER_JOB) {
+                return res.status(400).json({ error: `Massimo ${MAX_TRACKS_PER_JOB} tracce per job.` });
+            }
+            const invalidIds = ids.filter(id => !isValidSpotifyId(id));
+            if (invalidIds.length > 0) {
+                return res.status(400).json({ error: 'spotify_id non validi.', invalid: invalidIds });
+            }
+
+            const tracks = await spotifyAPI.getTracks(ids, req.market);
+            const foundIds = new Set(tracks.map(track => track.spotify_id));
+            const notFound = ids.filter(id => !foundIds.has(id));
+            if (tracks.length === 0) {
+                return res.status(404).json({ error: 'Nessuna traccia trovata su Spotify.', not_found: notFound });
+            }
+
+            const job = await downloadQueue.enqueue(tracks);
+            res.status(202)
+                .location(`${req.baseUrl}/${job.id}`)
+                .json({ ...job, not_found: notFound });
+        } catch (error) {
+            console.error('Errore POST /downloads:', error);
+            res.status(500).json({ error: 'Errore nella creazione del job di download.' });
+        }
+    });
+
+    // Pre-download di un intero album o playlist per l'uso offline.
+    // Le tracce già in cache vengono saltate; l'avanzamento per traccia è nel job creato.
+    const enqueueCollection = (loadTracks, label) => async (req, res) => {
+        try {
+            const { collection, tracks, total } = await loadTracks(req.params.id, req.market);
+            if (tracks.length === 0) {
+                return res.status(404).json({ error: `Nessuna traccia trovata per ${label}.` });
+            }
+            // Le playlist più lunghe arrivano troncate: conta il totale su Spotify
+            const count = Math.max(tracks.length, total || 0);
+            if (count > MAX_TRACKS_PER_JOB) {
+                return res.status(400).json({ error: `Massimo ${MAX_TRACKS_PER_JOB} tracce per job: ${label} ne contiene ${count}.` });
+            }
+
+            const job = await downloadQueue.enqueue(tracks, { collection });
+            res.status(202)
+                .location(`${req.baseUrl}/${job.id}`)
+                .json(job);
+        } catch (error) {
+            console.error(`Errore pre-download ${label} ${req.params.id}:`, error.message || error);
+            const status = error.status === 404 || error.status === 400 ? 404 : 500;
+            res.status(status).json({ error: error.message || `Errore nel pre-download di ${label}.` });
+        }
+    };
+
+    router.post('/albums/:id', requireSession, withMarket, enqueueCollection((id, market) => getAlbumTracks(spotifyAPI, id, market), 'album'));
+    router.post('/playlists/:id', requireSession, withMarket, enqueueCollection((id, market) => getPlaylistTracksAll(spotifyAPI, id, market), 'playlist'));
+
+    router.get('/:jobId', async (req, res) => {
+        try {
+            const job = await downloadQueue.getJob(req.params.jobId);
+            if (!job) {
+                return res.status(404).json({ error: 'Job non trovato.' });
+            }
+            res.json(job);
+        } catch (error) {
+            console.error(`Errore GET /downloads/${req.params.jobId}:`, error);
+            res.status(500).json({ error: 'Errore nel recupero del job.' });
+        }
+    });
+
+    // Feed di avanzamento via Server-Sent Events
+    router.get('/:jobId/events', async (req, res) => {
+        const { jobId } = req.params;
+        // Ci si iscrive prima di leggere lo stato: gli eventi arrivati nel frattempo vengono
+        // accodati e inviati dopo lo snapshot, così un job appena finito non lascia il feed aperto
+        const pending = [];
+        let handleEvent = (event) => pending.push(event);
+        const onEvent = (event) => handleEvent(event);
+        let keepAlive = null;
+        const cleanup = () => {
+            clearInterval(keepAlive);
+            downloadQueue.off(`job:${jobId}`, onEvent);
+        };
+        downloadQueue.on(`job:${jobId}`, onEvent);
+        req.on('close', cleanup);
+
+        try {
+            const job = await downloadQueue.getJob(jobId);
+            if (!job) {
+                cleanup();
+                return res.status(404).json({ error: 'Job non trovato.' });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            send('snapshot', job);
+            if (job.finished) {
+                send('finished', { jobId, status: job.status, counts: job.counts });
+                cleanup();
+                return res.end();
+            }
+
+            handleEvent = (event) => {
+                if (res.writableEnded) return;
+                send('progress', event);
+                if (event.finished) {
+                    send('finished', { jobId, status: event.status, counts: event.counts });
+                    cleanup();
+                    res.end();
+                }
+            };
+            pending.splice(0).forEach(handleEvent);
+            if (!res.writableEnded) {
+                keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+            }
+        } catch (error) {
+            cleanup();
+            console.error(`Errore GET /downloads/${jobId}/events:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Errore nel feed del job.' });
+            } else {
+                res.end();
+            }
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,91 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { sendAudioFile } from '../core/rangeStream.js';
+import { buildMasterPlaylist, appendQueryToUris, isHlsFileName, PLAYLIST_CONTENT_TYPE, SEGMENT_CONTENT_TYPE } from '../core/hlsPackager.js';
+import { signatureQueryString } from '../core/streamSigner.js';
+
+// Crea e ritorna il router per lo streaming HLS adattivo (montato su /stream).
+// Richiede spotifyAPI e la catena di sorgenti audio (per scaricare le tracce non in cache),
+// l'indice delle tracce e l'hlsPackager che genera le renditions.
+export default function createHlsRouter(spotifyAPI, audioSource, trackIndex, hlsPackager) {
+    const router = express.Router();
+
+    router.param('spotify_id', (req, res, next, spotifyId) => {
+        if (!isValidSpotifyId(spotifyId)) {
+            return res.status(400).send('spotify_id non valido');
+        }
+        next();
+    });
+
+    // Master playlist: scarica la traccia se serve (metadati da Spotify, come /stream) e genera le renditions
+    router.get('/:spotify_id/playlist.m3u8', spotifyAPI.marketMiddleware(), async (req, res) => {
+        const { spotify_id } = req.params;
+        try {
+            if (!await trackIndex.resolve(spotify_id)) {
+                const track = await spotifyAPI.getTrack(spotify_id, req.market);
+                if (!track) {
+                    return res.status(404).send('Traccia non trovata su Spotify');
+                }
+                console.log(`Traccia ${spotify_id} non in cache per HLS. Download in corso (sorgenti: ${audioSource.names.join(' > ')})...`);
+                try {
+                    await audioSource.searchAndDownload(`${track.artist} ${track.name}`, track.duration, trackIndex.filePathFor(spotify_id), {
+                        spotifyId: spotify_id, title: track.name, artist: track.artist, isrc: track.isrc
+                    });
+                } catch (error) {
+                    console.error(`Download per HLS di ${spotify_id} fallito:`, error?.message || error);
+                    return res.status(502).send('Audio della traccia non disponibile dalle sorgenti.');
+                }
+                if (!await trackIndex.resolve(spotify_id)) {
+                    return res.status(404).send('Traccia non presente in cache');
+                }
+            }
+            trackIndex.touch(spotify_id).catch(err => console.warn('Impossibile aggiornare ultimo accesso:', err.message));
+
+            await hlsPackager.ensurePackaged(spotify_id);
+            res.set({ 'Content-Type': PLAYLIST_CONTENT_TYPE, 'Cache-Control': 'no-cache' });
+            // Gli URI relativi non ereditano la query: la firma dello stream va ripetuta in ognuno
+            res.send(buildMasterPlaylist(spotify_id, 'hls/', signatureQueryString(req.query)));
+        } catch (error) {
+            console.error(`Errore GET /stream/${spotify_id}/playlist.m3u8:`, error);
+            res.status(500).send('Errore nella preparazione dello stream HLS.');
+        }
+    });
+
+    // Media playlist e segmenti delle renditions, solo se registrati nell'indice
+    router.get('/:spotify_id/hls/:file', async (req, res) => {
+        const { spotify_id, file } = req.params;
+        if (!isHlsFileName(spotify_id, file)) {
+            return res.status(404).send('File HLS non trovato');
+        }
+        try {
+            const entry = await trackIndex.get(spotify_id);
+            const filePath = path.join(trackIndex.downloadsDir, file);
+            if (!entry || !trackIndex.cacheFilesOf(entry).includes(filePath)) {
+                return res.status(404).send('File HLS non trovato');
+            }
+            const query = signatureQueryString(req.query);
+            if (file.endsWith('.m3u8') && query) {
+                const playlist = await fs.promises.readFile(filePath, 'utf8');
+                res.set({ 'Content-Type': PLAYLIST_CONTENT_TYPE, 'Cache-Control': 'no-cache' });
+                return res.send(appendQueryToUris(playlist, query));
+            }
+            await sendAudioFile(req, res, filePath, {
+                contentType: file.endsWith('.m3u8') ? PLAYLIST_CONTENT_TYPE : SEGMENT_CONTENT_TYPE
+            });
+        } catch (error) {
+            if (error?.code === 'ENOENT' && !res.headersSent) {
+                return res.status(404).send('File HLS non trovato');
+            }
+            console.error(`Errore GET /stream/${spotify_id}/hls/${file}:`, error);
+            if (!res.headersSent) {
+                res.status(500).send('Errore nello streaming HLS.');
+            } else {
+                res.destroy();
+            }
+        }
+    });
+
+    return router;
+}
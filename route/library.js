@@ -0,0 +1,47 @@
+import express from 'express';
+import { requireAdmin } from '../core/adminAuth.js';
+
+// Crea e ritorna il router per importare una cartella di musica già posseduta nella cache.
+// Richiede il libraryScanner (abbinamento dei file a Spotify e report delle scansioni).
+// Le scansioni sostituiscono file in cache e consumano ricerche Spotify: con adminToken servono
+// "Authorization: Bearer <adminToken>", altrimenti una sessione.
+export default function createLibraryRouter(libraryScanner, { adminToken } = {}) {
+    const router = express.Router();
+
+    router.use(requireAdmin(adminToken, 'Autenticazione richiesta per importare la libreria.'));
+
+    // Avvia la scansione in background; body facoltativo {dir} relativo alla cartella configurata
+    router.post('/scans', async (req, res) => {
+        const { dir = '' } = req.body || {};
+        if (typeof dir !== 'string') {
+            return res.status(400).json({ error: 'dir deve essere una stringa.' });
+        }
+        try {
+            const report = await libraryScanner.start(dir);
+            res.status(202).location(`${req.baseUrl}/scans/${report.id}`).json(report);
+        } catch (error) {
+            if (error?.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Errore POST /library/scans:', error);
+            res.status(500).json({ error: "Errore nell'avvio della scansione." });
+        }
+    });
+
+    // Report di una scansione (anche in corso); "latest" per l'ultima avviata
+    router.get('/scans/:scan_id', async (req, res) => {
+        const { scan_id } = req.params;
+        try {
+            const report = await libraryScanner.getReport(scan_id);
+            if (!report) {
+                return res.status(404).json({ error: 'Scansione non trovata.' });
+            }
+            res.json(report);
+        } catch (error) {
+            console.error(`Errore GET /library/scans/${scan_id}:`, error);
+            res.status(500).json({ error: 'Errore nel recupero del report della scansione.' });
+        }
+    });
+
+    return router;
+}
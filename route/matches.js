@@ -0,0 +1,142 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { isValidYoutubeId } from '../core/matchOverrides.js';
+
+// Crea e ritorna il router per correggere l'abbinamento Spotify -> YouTube.
+// Richiede matchOverrides, l'indice delle tracce, la downloadQueue per riscaricare
+// e spotifyAPI per i metadati della traccia.
+export default function createMatchesRouter(matchOverrides, trackIndex, downloadQueue, spotifyAPI) {
+    const router = express.Router();
+
+    router.param('spotify_id', (req, res, next, spotifyId) => {
+        if (!isValidSpotifyId(spotifyId)) {
+            return res.status(400).json({ error: 'spotify_id non valido.' });
+        }
+        next();
+    });
+
+    // Override e segnalazioni fanno riscaricare audio: servono un utente autenticato e un limite per sessione
+    const requireSession = (req, res, next) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per modificare gli abbinamenti.' });
+        }
+        next();
+    };
+
+    const limitChanges = async (req, res, next) => {
+        try {
+            const { allowed, retryAfterSeconds } = await matchOverrides.consumeQuota(req.sessionID);
+            if (!allowed) {
+                return res.status(429)
+                    .set('Retry-After', String(retryAfterSeconds))
+                    .json({ error: `Troppe modifiche agli abbinamenti, riprova tra ${Math.ceil(retryAfterSeconds / 60)} minuti.` });
+            }
+            next();
+        } catch (error) {
+            console.error('Errore nel limite delle modifiche agli abbinamenti:', error);
+            res.status(500).json({ error: 'Errore interno del server.' });
+        }
+    };
+
+    // Cancella il file in cache (e le sue varianti) e rimette la traccia in coda di download
+    const redownload = async (spotifyId, track, reason) => {
+        await trackIndex.purge(spotifyId);
+        return downloadQueue.enqueue([track], { reason });
+    };
+
+    const loadTrack = async (spotifyId) => {
+        const [track] = await spotifyAPI.getTracks([spotifyId]);
+        return track || null;
+    };
+
+    router.get('/:spotify_id', async (req, res) => {
+        const { spotify_id } = req.params;
+        try {
+            const [entry, override, reports, rejected] = await Promise.all([
+                trackIndex.get(spotify_id),
+                matchOverrides.get(spotify_id),
+                matchOverrides.reports(spotify_id),
+                matchOverrides.rejectedIds(spotify_id)
+            ]);
+            res.json({
+                spotify_id,
+                source: entry?.source || null,
+                override,
+                rejected,
+                reports
+            });
+        } catch (error) {
+            console.error(`Errore GET /matches/${spotify_id}:`, error);
+            res.status(500).json({ error: "Errore nel recupero dell'abbinamento." });
+        }
+    });
+
+    // Impone un video YouTube specifico per la traccia
+    router.put('/:spotify_id/override', requireSession, limitChanges, async (req, res) => {
+        const { spotify_id } = req.params;
+        const { youtube_id } = req.body || {};
+        if (!isValidYoutubeId(youtube_id)) {
+            return res.status(400).json({ error: 'youtube_id non valido.' });
+        }
+        try {
+            const track = await loadTrack(spotify_id);
+            if (!track) {
+                return res.status(404).json({ error: 'Traccia non trovata su Spotify.' });
+            }
+
+            const override = await matchOverrides.set(spotify_id, youtube_id);
+            const job = await redownload(spotify_id, track, 'override');
+            console.log(`📌 Override per ${spotify_id} -> ${youtube_id}, nuovo download nel job ${job.id}.`);
+            res.status(202)
+                .location(`/downloads/${job.id}`)
+                .json({ override, job });
+        } catch (error) {
+            console.error(`Errore PUT /matches/${spotify_id}/override:`, error);
+            res.status(500).json({ error: "Errore nell'impostazione dell'override." });
+        }
+    });
+
+    // Rimuove l'override: il file attuale resta in cache finché non viene segnalato o rimosso
+    router.delete('/:spotify_id/override', requireSession, async (req, res) => {
+        const { spotify_id } = req.params;
+        try {
+            const removed = await matchOverrides.remove(spotify_id);
+            if (!removed) {
+                return res.status(404).json({ error: 'Nessun override per questa traccia.' });
+            }
+            res.status(204).send();
+        } catch (error) {
+            console.error(`Errore DELETE /matches/${spotify_id}/override:`, error);
+            res.status(500).json({ error: "Errore nella rimozione dell'override." });
+        }
+    });
+
+    // Segnala l'abbinamento attuale come sbagliato: il video viene escluso e la traccia riscaricata
+    router.post('/:spotify_id/report', requireSession, limitChanges, async (req, res) => {
+        const { spotify_id } = req.params;
+        const { reason } = req.body || {};
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+            return res.status(400).json({ error: 'reason deve essere una stringa di massimo 500 caratteri.' });
+        }
+        try {
+            const track = await loadTrack(spotify_id);
+            if (!track) {
+                return res.status(404).json({ error: 'Traccia non trovata su Spotify.' });
+            }
+
+            const entry = await trackIndex.get(spotify_id);
+            const youtubeId = entry?.source?.provider === 'youtube' ? entry.source.id : undefined;
+            const report = await matchOverrides.report(spotify_id, { youtubeId, reason });
+            const job = await redownload(spotify_id, track, 'report');
+            console.log(`🚩 Abbinamento di ${spotify_id} segnalato (video ${youtubeId || 'sconosciuto'}), nuovo download nel job ${job.id}.`);
+            res.status(202)
+                .location(`/downloads/${job.id}`)
+                .json({ report, job });
+        } catch (error) {
+            console.error(`Errore POST /matches/${spotify_id}/report:`, error);
+            res.status(500).json({ error: "Errore nella segnalazione dell'abbinamento." });
+        }
+    });
+
+    return router;
+}
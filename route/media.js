@@ -1,19 +1,29 @@
 import express from 'express';
-import path from 'path';
-import fs from 'fs';
+import { sendAudioFile, sendProgressiveStream } from '../core/rangeStream.js';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { parseVariant, ORIGINAL_VARIANT } from '../core/transcoder.js';
+import { loudnessHeaders } from '../core/loudness.js';
 
 // Crea e ritorna il router per le funzionalità media (ricerca, stream).
-// Accetta le dipendenze spotifyAPI, youtubeAPI e la directory dei download.
-export default function createMediaRouter(spotifyAPI, youtubeAPI, downloadsDir) {
+// Accetta le dipendenze spotifyAPI, audioSource (catena di sorgenti audio), l'indice delle tracce
+// scaricate e il transcoder.
+export default function createMediaRouter(spotifyAPI, audioSource, trackIndex, transcoder) {
     const router = express.Router();
 
-    router.post('/search', async (req, res) => {
+    // ?progressive=1|0 sovrascrive il default PROGRESSIVE_STREAMING
+    const isProgressiveRequest = (req) => {
+        if (req.method !== 'GET') return false;
+        if (req.query.progressive === undefined) return process.env.PROGRESSIVE_STREAMING === 'true';
+        return req.query.progressive === '1' || req.query.progressive === 'true';
+    };
+
+    router.post('/search', spotifyAPI.marketMiddleware(), async (req, res) => {
         try {
             const { query } = req.body;
             if (!query || typeof query !== 'string') {
                 return res.status(400).json({ error: 'Query non valida.' });
             }
-            const searchResult = await spotifyAPI.searchMultiType(query, 20);
+            const searchResult = await spotifyAPI.searchMultiType(query, 20, req.market);
             res.json(searchResult);
         } catch (error) {
             console.error('Errore /search:', error);
@@ -21,44 +31,80 @@ export default function createMediaRouter(spotifyAPI, youtubeAPI, downloadsDir)
         }
     });
 
-    router.get('/stream/:spotify_id', async (req, res) => {
+    // Basta l'ID: title, artist e duration_ms nella query sono accettati per compatibilità ma ignorati
+    router.get('/stream/:spotify_id', spotifyAPI.marketMiddleware(), async (req, res) => {
         try {
             const { spotify_id } = req.params;
-            const { title, artist, duration_ms } = req.query;
+            if (!isValidSpotifyId(spotify_id)) {
+                return res.status(400).send('spotify_id non valido.');
+            }
+
+            const { variant, error: variantError } = parseVariant(req.query.format, req.query.bitrate, req.query.normalize);
+            if (variantError) {
+                return res.status(400).send(variantError);
+            }
+
+            let track = null;
+            let lookupError = null;
+            try {
+                track = await spotifyAPI.getTrack(spotify_id, req.market);
+            } catch (error) {
+                lookupError = error;
+                console.warn(`⚠️ Metadati Spotify non disponibili per ${spotify_id}:`, error.message);
+            }
 
-            if (!spotify_id || !title || !artist || !duration_ms) {
-                return res.status(400).send('Parametri mancanti.');
+            const cachedEntry = await trackIndex.resolve(spotify_id)
+                || (track && await trackIndex.adoptLegacyFile(spotify_id, track.artist, track.name));
+            if (!cachedEntry && !track) {
+                return lookupError
+                    ? res.status(503).send('Metadati della traccia non disponibili.')
+                    : res.status(404).send('Traccia non trovata su Spotify.');
             }
 
-            const parsedDurationMs = parseInt(duration_ms, 10);
-            let fileName = `${artist} - ${title}.mp3`.replace(/[^a-zA-Z0-9\s\-\.]/g, '').trim();
-            const filePath = path.join(downloadsDir, fileName);
+            const fileName = track ? `${track.artist} - ${track.name}.${variant.extension}` : `${spotify_id}.${variant.extension}`;
+            const downloadOptions = track && { spotifyId: spotify_id, title: track.name, artist: track.artist, isrc: track.isrc };
 
-            if (fs.existsSync(filePath)) {
-                console.log(`Streaming dalla cache: ${fileName}`);
-                const stream = fs.createReadStream(filePath);
-                res.set({'Content-Type': 'audio/mpeg'});
-                stream.pipe(res);
+            if (cachedEntry) {
+                console.log(`Streaming dalla cache: ${spotify_id}`);
+                trackIndex.touch(spotify_id).catch(() => {});
+            } else if (isProgressiveRequest(req) && variant.key === ORIGINAL_VARIANT.key) {
+                console.log(`Download progressivo per: ${spotify_id} (sorgenti: ${audioSource.names.join(' > ')})`);
+                const { job } = await audioSource.startProgressiveDownload(
+                    `${track.artist} ${track.name}`,
+                    track.duration,
+                    trackIndex.filePathFor(spotify_id),
+                    downloadOptions
+                );
+                if (job) {
+                    return await sendProgressiveStream(req, res, job, { fileName });
+                }
             } else {
-                console.log(`Download da YouTube per: ${fileName}`);
-                const youtubeResult = await youtubeAPI.searchAndDownload(
-                    `${artist} ${title}`,
-                    parsedDurationMs,
-                    filePath
+                console.log(`Download per: ${spotify_id} (sorgenti: ${audioSource.names.join(' > ')})`);
+                const youtubeResult = await audioSource.searchAndDownload(
+                    `${track.artist} ${track.name}`,
+                    track.duration,
+                    trackIndex.filePathFor(spotify_id),
+                    downloadOptions
                 );
                 
-                if (youtubeResult.success) {
-                    const stream = fs.createReadStream(youtubeResult.path);
-                    res.set({'Content-Type': 'audio/mpeg'});
-                    stream.pipe(res);
-                } else {
-                    res.status(404).send(youtubeResult.message || 'Canzone non trovata su YouTube.');
+                if (!youtubeResult.success) {
+                    return res.status(404).send(youtubeResult.message || 'Canzone non trovata su YouTube.');
                 }
             }
+
+            const audioFile = await transcoder.ensureVariant(spotify_id, variant);
+            const indexed = await trackIndex.get(spotify_id);
+            res.set(loudnessHeaders(indexed?.loudness, audioFile.gainDb));
+            await sendAudioFile(req, res, audioFile.path, { contentType: audioFile.contentType, fileName });
         } catch (error) {
+            if (error && error.aborted && res.headersSent) {
+                return;
+            }
             console.error(`Errore /stream/${req.params.spotify_id}:`, error);
             if (!res.headersSent) {
                 res.status(500).send('Errore durante lo streaming.');
+            } else {
+                res.destroy();
             }
         }
     });
@@ -0,0 +1,185 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+
+// Spotify accetta copertine JPEG fino a 256 KB una volta codificate in base64
+const MAX_COVER_BYTES = Math.floor(256 * 1024 * 3 / 4);
+
+// Crea e ritorna il router per creare e modificare le playlist dell'utente (montato su /api/playlists).
+// Richiede spotifyAPI; le modifiche servono i permessi del login con level=crud.
+export default function createPlaylistsRouter(spotifyAPI) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per modificare le playlist.' });
+        }
+        next();
+    });
+
+    router.param('playlistId', (req, res, next, playlistId) => {
+        if (!isValidSpotifyId(playlistId)) {
+            return res.status(400).json({ error: 'ID playlist non valido.' });
+        }
+        next();
+    });
+
+    const sendError = (req, res, action, error) => {
+        console.error(`Errore nel ${action}:`, error.message);
+        if (error.status === 401) {
+            delete req.session.tokens;
+            return res.status(401).json({ error: 'Token Spotify non valido o scaduto. Riprova l\'autenticazione.' });
+        }
+        if (error.status === 403) {
+            return res.status(403).json({ error: 'Permessi insufficienti: accedi con level=crud per modificare le playlist.' });
+        }
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Playlist non trovata.' });
+        }
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: `Errore interno del server nel ${action}.` });
+    };
+
+    // Valida un elenco di ID traccia dal body; ritorna null se non valido
+    const parseTrackIds = (trackIds) => {
+        if (!Array.isArray(trackIds) || trackIds.length === 0 || !trackIds.every(isValidSpotifyId)) {
+            return null;
+        }
+        return trackIds;
+    };
+
+    const isPosition = (value) => Number.isInteger(value) && value >= 0;
+
+    // Body: {name, description?, public?, collaborative?}
+    router.post('/', async (req, res) => {
+        const { name, description, public: isPublic, collaborative } = req.body || {};
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'name richiesto.' });
+        }
+        if (description !== undefined && typeof description !== 'string') {
+            return res.status(400).json({ error: 'description deve essere una stringa.' });
+        }
+        // Spotify non ammette playlist pubbliche e collaborative insieme
+        if (collaborative === true && isPublic === true) {
+            return res.status(400).json({ error: 'Una playlist collaborativa non può essere pubblica.' });
+        }
+        try {
+            const playlist = await spotifyAPI.createPlaylist(req.session, {
+                name: name.trim(),
+                description,
+                isPublic: isPublic === true,
+                collaborative: collaborative === true
+            });
+            console.log(`📝 Playlist creata: "${playlist.name}" (${playlist.id})`);
+            res.status(201).location(`/api/playlists/${playlist.id}/tracks`).json(playlist);
+        } catch (error) {
+            sendError(req, res, 'creare la playlist', error);
+        }
+    });
+
+    // Body: {name?, description?, public?}
+    router.patch('/:playlistId', async (req, res) => {
+        const { name, description, public: isPublic } = req.body || {};
+        if (name === undefined && description === undefined && isPublic === undefined) {
+            return res.status(400).json({ error: 'Specifica almeno uno tra name, description e public.' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ error: 'name non valido.' });
+        }
+        if (description !== undefined && typeof description !== 'string') {
+            return res.status(400).json({ error: 'description deve essere una stringa.' });
+        }
+        if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+            return res.status(400).json({ error: 'public deve essere un booleano.' });
+        }
+        try {
+            await spotifyAPI.updatePlaylistDetails(req.session, req.params.playlistId, {
+                name: name?.trim(),
+                description,
+                isPublic
+            });
+            res.status(204).end();
+        } catch (error) {
+            sendError(req, res, 'modificare la playlist', error);
+        }
+    });
+
+    // Body: {track_ids: [...], position?}
+    router.post('/:playlistId/tracks', async (req, res) => {
+        const { track_ids, position } = req.body || {};
+        const trackIds = parseTrackIds(track_ids);
+        if (!trackIds) {
+            return res.status(400).json({ error: 'track_ids deve essere un elenco non vuoto di ID traccia validi.' });
+        }
+        if (position !== undefined && !isPosition(position)) {
+            return res.status(400).json({ error: 'position deve essere un intero non negativo.' });
+        }
+        try {
+            const result = await spotifyAPI.addTracksToPlaylist(req.session, req.params.playlistId, trackIds, position);
+            res.status(201).json(result);
+        } catch (error) {
+            sendError(req, res, 'aggiungere tracce alla playlist', error);
+        }
+    });
+
+    // Body: {track_ids: [...], snapshot_id?}; rimuove tutte le occorrenze delle tracce
+    router.delete('/:playlistId/tracks', async (req, res) => {
+        const { track_ids, snapshot_id } = req.body || {};
+        const trackIds = parseTrackIds(track_ids);
+        if (!trackIds) {
+            return res.status(400).json({ error: 'track_ids deve essere un elenco non vuoto di ID traccia validi.' });
+        }
+        try {
+            const result = await spotifyAPI.removeTracksFromPlaylist(req.session, req.params.playlistId, trackIds, snapshot_id);
+            res.json(result);
+        } catch (error) {
+            sendError(req, res, 'rimuovere tracce dalla playlist', error);
+        }
+    });
+
+    // Body: {range_start, insert_before, range_length?, snapshot_id?}
+    router.put('/:playlistId/tracks/order', async (req, res) => {
+        const { range_start, insert_before, range_length = 1, snapshot_id } = req.body || {};
+        if (!isPosition(range_start) || !isPosition(insert_before) || !Number.isInteger(range_length) || range_length < 1) {
+            return res.status(400).json({ error: 'range_start e insert_before devono essere interi non negativi, range_length un intero positivo.' });
+        }
+        try {
+            const result = await spotifyAPI.reorderPlaylistTracks(req.session, req.params.playlistId, {
+                rangeStart: range_start,
+                insertBefore: insert_before,
+                rangeLength: range_length,
+                snapshotId: snapshot_id
+            });
+            res.json(result);
+        } catch (error) {
+            sendError(req, res, 'riordinare la playlist', error);
+        }
+    });
+
+    // Body: immagine JPEG grezza (Content-Type: image/jpeg)
+    router.put('/:playlistId/cover', express.raw({ type: ['image/jpeg', 'image/jpg'], limit: MAX_COVER_BYTES }), async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(415).json({ error: 'Invia la copertina come corpo image/jpeg.' });
+        }
+        // Marker SOI dei file JPEG
+        if (req.body[0] !== 0xff || req.body[1] !== 0xd8) {
+            return res.status(400).json({ error: 'La copertina deve essere un\'immagine JPEG.' });
+        }
+        try {
+            await spotifyAPI.uploadPlaylistCover(req.session, req.params.playlistId, req.body);
+            res.status(202).end();
+        } catch (error) {
+            sendError(req, res, 'caricare la copertina della playlist', error);
+        }
+    });
+
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Copertina troppo grande (massimo ${Math.floor(MAX_COVER_BYTES / 1024)} KB).` });
+        }
+        next(error);
+    });
+
+    return router;
+}
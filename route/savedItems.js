@@ -0,0 +1,82 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+
+// ID accettati per singola chiamata: lo spotifyAPI li divide nei blocchi ammessi da Spotify
+const MAX_IDS = 500;
+
+// Crea e ritorna il router per salvare e rimuovere tracce e album dalla libreria dell'utente
+// (montato su /api/me). Richiede spotifyAPI; le modifiche servono i permessi del login con level=crud.
+export default function createSavedItemsRouter(spotifyAPI) {
+    const router = express.Router();
+
+    const requireSession = (req, res, next) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per la libreria dell\'utente.' });
+        }
+        next();
+    };
+
+    const sendError = (req, res, action, error) => {
+        console.error(`Errore nel ${action}:`, error.message);
+        if (error.status === 401) {
+            delete req.session.tokens;
+            return res.status(401).json({ error: 'Token Spotify non valido o scaduto. Riprova l\'autenticazione.' });
+        }
+        if (error.status === 403) {
+            return res.status(403).json({ error: 'Permessi insufficienti: accedi con level=crud per modificare la libreria.' });
+        }
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: `Errore interno del server nel ${action}.` });
+    };
+
+    // ID dal body ({ids: [...]}) o dalla query (?ids=a,b,c), senza duplicati; null se non validi
+    const parseIds = (ids) => {
+        const list = typeof ids === 'string' ? ids.split(',').filter(Boolean) : ids;
+        if (!Array.isArray(list) || list.length === 0 || list.length > MAX_IDS || !list.every(isValidSpotifyId)) {
+            return null;
+        }
+        return [...new Set(list)];
+    };
+
+    const invalidIds = (res) => res.status(400).json({ error: `ids deve contenere da 1 a ${MAX_IDS} ID Spotify validi.` });
+
+    for (const [type, label] of [['tracks', 'tracce'], ['albums', 'album']]) {
+        // Body: {ids: [...]}
+        router.put(`/${type}`, requireSession, async (req, res) => {
+            const ids = parseIds(req.body?.ids);
+            if (!ids) return invalidIds(res);
+            try {
+                await spotifyAPI.saveToLibrary(req.session, type, ids);
+                res.status(204).end();
+            } catch (error) {
+                sendError(req, res, `salvare ${label} nella libreria`, error);
+            }
+        });
+
+        router.delete(`/${type}`, requireSession, async (req, res) => {
+            const ids = parseIds(req.body?.ids);
+            if (!ids) return invalidIds(res);
+            try {
+                await spotifyAPI.removeFromLibrary(req.session, type, ids);
+                res.status(204).end();
+            } catch (error) {
+                sendError(req, res, `rimuovere ${label} dalla libreria`, error);
+            }
+        });
+
+        // ?ids=a,b,c → {a: true, b: false, ...}, per lo stato "salvato" di un'intera lista
+        router.get(`/${type}/contains`, requireSession, async (req, res) => {
+            const ids = parseIds(req.query.ids);
+            if (!ids) return invalidIds(res);
+            try {
+                res.json(await spotifyAPI.checkSavedInLibrary(req.session, type, ids));
+            } catch (error) {
+                sendError(req, res, `verificare ${label} nella libreria`, error);
+            }
+        });
+    }
+
+    return router;
+}
@@ -1,4 +1,6 @@
 import express from 'express';
+import { PAGE_SIZES } from '../core/spotify.js';
+import { parsePageQuery } from '../core/paging.js';
 
 // Crea e ritorna il router per le API di Spotify.
 // Richiede spotifyAPI per effettuare le chiamate.
@@ -13,41 +15,47 @@ export default function createSpotifyApiRouter(spotifyAPI) {
         res.status(401).json({ error: 'Utente non autenticato.' });
     };
 
+    // Mercato della richiesta in req.market (paese dell'utente loggato, ?market= o default)
+    const withMarket = spotifyAPI.marketMiddleware();
+
     // Rotta pubblica (non richiede autenticazione utente)
-    router.get('/artists/:artistId', async (req, res) => {
+    router.get('/artists/:artistId', withMarket, async (req, res) => {
         try {
             const { artistId } = req.params;
-            const artistDetails = await spotifyAPI.getArtistDetails(artistId);
+            const artistDetails = await spotifyAPI.getArtistDetails(artistId, req.market);
             res.json(artistDetails);
         } catch (error) {
             res.status(500).json({ error: `Errore dettagli artista: ${error.message}` });
         }
     });
     
-    router.get('/albums/:albumId', async (req, res) => {
+    router.get('/albums/:albumId', withMarket, async (req, res) => {
         try {
             const { albumId } = req.params;
-            const albumDetails = await spotifyAPI.getAlbumDetails(albumId);
+            const albumDetails = await spotifyAPI.getAlbumDetails(albumId, req.market);
             res.json(albumDetails);
         } catch (error) {
             res.status(500).json({ error: `Errore dettagli album: ${error.message}` });
         }
     });
 
-    router.get('/playlists/:playlistId/tracks', async (req, res) => {
+    router.get('/playlists/:playlistId/tracks', withMarket, async (req, res) => {
         try {
             const { playlistId } = req.params;
-            const { limit, offset } = req.query;
-            const playlistTracks = await spotifyAPI.getPlaylistTracks(playlistId, limit, offset);
+            const { page, error } = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: PAGE_SIZES.playlistTracks });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const { success, ...playlistTracks } = await spotifyAPI.getPlaylistTracks(playlistId, page, req.market);
             res.json(playlistTracks);
         } catch (error) {
             res.status(500).json({ error: `Errore tracce playlist: ${error.message}` });
         }
     });
 
-    router.get('/recommendations', async (req, res) => {
+    router.get('/recommendations', withMarket, async (req, res) => {
         try {
-            const recommendations = await spotifyAPI.getRecommendations(req.query);
+            const recommendations = await spotifyAPI.getRecommendations({ ...req.query, market: req.market });
             res.json(recommendations);
         } catch (error) {
             res.status(500).json({ error: `Errore raccomandazioni: ${error.message}` });
@@ -75,7 +83,11 @@ export default function createSpotifyApiRouter(spotifyAPI) {
 
     router.get('/me/playlists', ensureAuthenticated, async (req, res) => {
         try {
-            const playlists = await spotifyAPI.getUserPlaylists(req.session);
+            const { page, error } = parsePageQuery(req.query, { maxLimit: PAGE_SIZES.playlists });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const playlists = await spotifyAPI.getUserPlaylists(req.session, page);
             res.json(playlists);
         } catch (error) {
             res.status(500).json({ error: `Errore playlist utente: ${error.message}` });
@@ -93,7 +105,11 @@ export default function createSpotifyApiRouter(spotifyAPI) {
 
     router.get('/me/tracks', ensureAuthenticated, async (req, res) => {
         try {
-            const tracks = await spotifyAPI.getUserSavedTracks(req.session);
+            const { page, error } = parsePageQuery(req.query, { maxLimit: PAGE_SIZES.savedTracks });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const tracks = await spotifyAPI.getUserSavedTracks(req.session, page);
             res.json(tracks);
         } catch (error) {
             res.status(500).json({ error: `Errore tracce salvate: ${error.message}` });
@@ -0,0 +1,41 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { ORIGINAL_VARIANT, parseVariant } from '../core/transcoder.js';
+
+// Crea e ritorna il router che emette gli URL di stream firmati (montato su /api).
+// Richiede lo streamSigner.
+export default function createStreamTokensRouter(streamSigner) {
+    const router = express.Router();
+
+    // Body: {spotify_id, format?, bitrate?, normalize?}. La firma vale per la traccia (tutte le
+    // varianti, HLS e waveform); i parametri di formato servono solo a comporre l'URL restituito.
+    router.post('/stream-token', (req, res) => {
+        if (!req.session?.tokens) {
+            return res.status(401).json({ error: 'Autenticazione richiesta per ottenere un URL di stream.' });
+        }
+
+        const { spotify_id, format, bitrate, normalize } = req.body || {};
+        if (!isValidSpotifyId(spotify_id)) {
+            return res.status(400).json({ error: 'spotify_id non valido.' });
+        }
+        const { variant, error } = parseVariant(format, bitrate && String(bitrate), normalize && String(normalize));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { query, expiresAt } = streamSigner.sign(spotify_id, req.sessionID);
+        const params = new URLSearchParams(query);
+        if (variant.key !== ORIGINAL_VARIANT.key) {
+            if (format) params.set('format', String(format));
+            if (bitrate) params.set('bitrate', String(bitrate));
+            if (variant.normalize) params.set('normalize', '1');
+        }
+        res.json({
+            url: `/stream/${spotify_id}?${params}`,
+            query,
+            expires_at: expiresAt.toISOString()
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,37 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { replayGain } from '../core/loudness.js';
+
+// Crea e ritorna il router con le informazioni sulle tracce in cache.
+// Richiede l'indice delle tracce scaricate.
+export default function createTracksRouter(trackIndex) {
+    const router = express.Router();
+
+    router.get('/:spotify_id', async (req, res) => {
+        const { spotify_id } = req.params;
+        if (!isValidSpotifyId(spotify_id)) {
+            return res.status(400).json({ error: 'spotify_id non valido.' });
+        }
+        try {
+            const entry = await trackIndex.resolve(spotify_id);
+            if (!entry) {
+                return res.status(404).json({ error: 'Traccia non presente in cache.' });
+            }
+            res.json({
+                spotify_id,
+                source: entry.source || null,
+                duration_ms: entry.duration_ms ?? null,
+                downloaded_at: entry.downloaded_at,
+                tagged: Boolean(entry.tagged),
+                variants: Object.keys(entry.variants || {}),
+                loudness: entry.loudness || null,
+                replaygain: replayGain(entry.loudness)
+            });
+        } catch (error) {
+            console.error(`Errore GET /tracks/${spotify_id}:`, error);
+            res.status(500).json({ error: 'Errore nel recupero della traccia.' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,60 @@
+import express from 'express';
+import { isValidSpotifyId } from '../core/trackIndex.js';
+import { downsamplePeaks, encodePeaks, peaksToJson } from '../core/waveform.js';
+import { buildEtag } from '../core/rangeStream.js';
+
+const DEFAULT_POINTS = 1000;
+const MAX_POINTS = 20000;
+
+// Crea e ritorna il router con i picchi della waveform delle tracce in cache (montato su /stream).
+// Richiede la waveformCache che calcola e conserva i picchi a risoluzione piena.
+export default function createWaveformRouter(waveformCache) {
+    const router = express.Router();
+
+    // ?points=N (coppie min/max, al più N) e ?format=json|binary (formati di audiowaveform)
+    router.get('/:spotify_id/peaks', async (req, res) => {
+        const { spotify_id } = req.params;
+        if (!isValidSpotifyId(spotify_id)) {
+            return res.status(400).json({ error: 'spotify_id non valido.' });
+        }
+
+        const points = req.query.points === undefined ? DEFAULT_POINTS : parseInt(req.query.points, 10);
+        if (!Number.isInteger(points) || points < 1 || points > MAX_POINTS) {
+            return res.status(400).json({ error: `points deve essere un intero tra 1 e ${MAX_POINTS}.` });
+        }
+        const format = (req.query.format || 'json').toLowerCase();
+        if (format !== 'json' && format !== 'binary') {
+            return res.status(400).json({ error: 'format non supportato. Valori ammessi: json, binary' });
+        }
+
+        try {
+            const peaks = await waveformCache.getPeaks(spotify_id);
+            if (!peaks) {
+                return res.status(404).json({ error: 'Traccia non presente in cache.' });
+            }
+
+            // I picchi cambiano quando l'audio viene riscaricato (override, segnalazioni, import della
+            // libreria): niente cache condivise, e il client rivalida con l'ETag del file dei picchi
+            res.set('Cache-Control', 'private, no-cache');
+            const stats = await waveformCache.peaksFileStats(spotify_id);
+            if (stats) {
+                res.set('ETag', buildEtag(stats, `${format}-${points}`));
+                if (req.fresh) {
+                    return res.status(304).end();
+                }
+            }
+
+            const reduced = downsamplePeaks(peaks, points);
+            if (format === 'binary') {
+                res.type('application/octet-stream').send(encodePeaks(reduced));
+            } else {
+                res.json(peaksToJson(reduced));
+            }
+        } catch (error) {
+            console.error(`Errore GET /stream/${spotify_id}/peaks:`, error);
+            res.status(500).json({ error: 'Errore nel calcolo della waveform.' });
+        }
+    });
+
+    return router;
+}